@@ -3,8 +3,11 @@
  *
  * Replace this file with your project's code.
  * The `edo` global is provided by edo.js (loaded before this script).
+ * In production, first call edo.configure({ allowedOrigins: [...] }) with your
+ * Lab host's origin — see README → "Trusted hosts".
  *
- * Available API routes (all prefixed /api on the Lab server):
+ * Available API routes (all prefixed /api on the Lab server; dev-proxy.js
+ * implements the same table locally, see README → "Lab routes locally"):
  *   /buildings                                   → list of sites
  *   /buildings/sites/:siteId                     → buildings for a site
  *   /buildings/:buildingId/equipment             → equipment for a building
@@ -16,6 +19,10 @@
  *   /timeseries/latest?id=1&id=2                 → latest values
  *   /timeseries/rollup?id=1&interval=1&unit=hour → aggregated trend data
  *   /timeseries/stat?id=1&id=2&start=...&end=... → min/max/avg stats
+ *
+ * Utility bills have no Lab route; edo.bills calls the raw /bill/* routes:
+ * edo.bills.list({ buildingId }) → normalized bills, edo.bills.compare() to
+ * overlay them on /timeseries/stat — see README → "Utility bills".
  */
 async function main() {
   const app = document.getElementById('app');
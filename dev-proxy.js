@@ -4,13 +4,36 @@
  *
  * Zero-dependency local server (Node.js built-ins only) that:
  *   1. Handles the B2C OAuth2 PKCE auth flow so you never paste tokens manually
- *   2. Caches your token to disk — survives proxy restarts
- *   3. Proxies /api/edo/* → Edo API, forwarding your Bearer token
- *   4. Serves static files from this directory
+ *   2. Caches your token to disk — one per environment profile, surviving
+ *      restarts — and refreshes it in the background with the refresh token
+ *   3. Proxies /api/edo/* → Edo API, forwarding your Bearer token, and maps
+ *      the Lab server's routes (/buildings, /point-classes, …) onto it — over
+ *      pooled keep-alive connections, compressed, with upstream timeouts
+ *   4. Serves static files from this directory, plus dev pages under /__ (Lab
+ *      host harness, request inspector with HAR export)
  *
  * Usage:
  *   node dev-proxy.js
  *   Open http://localhost:3001 → click "Authorize with Edo" → done
+ *
+ *   node dev-proxy.js --profile internal   (or EDO_PROFILE=internal)
+ *   Targets another environment: prod (default), internal, mock, + edo-profiles.json
+ *
+ *   node dev-proxy.js --mock        (or MOCK=1; same as --profile mock)
+ *   Serves synthetic data for the README routes — no token, no network
+ *
+ *   node dev-proxy.js --record [--scrub]   /   node dev-proxy.js --replay
+ *   Captures /api/edo/* traffic to fixtures/, then serves it back offline
+ *
+ *   node dev-proxy.js --validate    (or VALIDATE=1)
+ *   Checks raw API responses against schemas/ and logs missing, mistyped or new fields
+ *
+ *   Open http://localhost:3001/__lab
+ *   Runs the project inside a local Lab host (iframe mode, real postMessage handshake)
+ *
+ *   node dev-proxy.js login | logout | status
+ *   node dev-proxy.js call /point/class --format table
+ *   Command-line auth and ad-hoc queries with the cached token — see proxy/cli.js
  */
 
 'use strict';
@@ -21,6 +44,15 @@ const fs     = require('fs');
 const path   = require('path');
 const url    = require('url');
 const crypto = require('crypto');
+const zlib   = require('zlib');
+
+const { createMockApi }                         = require('./proxy/mock-api');
+const { createCassettes, DEFAULT_SCRUB_FIELDS } = require('./proxy/cassettes');
+const { matchLabRoute }                         = require('./proxy/lab-routes');
+const { loadProfiles, selectProfileName }       = require('./proxy/profiles');
+const { createInspector }                       = require('./proxy/inspector');
+const { cliCommand, runCli }                    = require('./proxy/cli');
+const edoSchema                                 = require('./edo-schema');
 
 // ── Load .env.local ───────────────────────────────────────────────────────────
 
@@ -36,52 +68,192 @@ try {
 
 // ── Config ────────────────────────────────────────────────────────────────────
 
+// A feature is on when passed as --name on the command line or NAME=1 in env
+function flag(name) {
+  return process.argv.includes(`--${name}`) ||
+    /^(1|true|yes)$/i.test(process.env[name.toUpperCase()] ?? '');
+}
+
 const PORT         = Number(process.env.PORT ?? 3001);
-const EDO_API_BASE = (process.env.EDO_API_BASE ?? 'https://services-internal.apis.edoenergy.com').replace(/\/$/, '');
+
+// Named environments (prod, internal, mock, + edo-profiles.json) — see
+// proxy/profiles.js. Switchable at runtime via POST /__env.
+let   PROFILES;
+try {
+  PROFILES = loadProfiles(path.join(__dirname, 'edo-profiles.json'));
+} catch (err) {
+  console.error(`[config] ${err.message}`);
+  process.exit(1);
+}
+const { name: startupProfile, explicit: profileChosen } =
+  selectProfileName(process.argv, process.env, flag('mock'));
+if (!PROFILES[startupProfile]) {
+  console.error(`[config] Unknown profile "${startupProfile}" — available: ${Object.keys(PROFILES).join(', ')}`);
+  process.exit(1);
+}
+// Legacy .env.local files set EDO_API_BASE; honour it unless a profile was picked
+if (process.env.EDO_API_BASE && !profileChosen) {
+  PROFILES[startupProfile] = { ...PROFILES[startupProfile], apiBase: process.env.EDO_API_BASE.replace(/\/$/, '') };
+}
+let _profile       = PROFILES[startupProfile];
+const mockApi      = createMockApi({ seed: process.env.MOCK_SEED ?? 'edo' });
+
+// Record / replay fixtures — RECORD writes every proxied exchange, REPLAY
+// answers from disk without a token. SCRUB pseudonymizes identifying fields.
+const RECORD       = flag('record');
+const REPLAY       = flag('replay');
+const offline      = () => _profile.mock || REPLAY;   // no token needed, no upstream calls
+const cassettes    = (RECORD || REPLAY) ? createCassettes({
+  dir:         path.resolve(__dirname, process.env.FIXTURES_DIR ?? 'fixtures'),
+  scrubFields: flag('scrub')
+    ? (process.env.SCRUB_FIELDS?.split(',').map(f => f.trim()).filter(Boolean) ?? DEFAULT_SCRUB_FIELDS)
+    : null,
+}) : null;
+
+// Compare raw responses with schemas/ and log drift (missing / mistyped / new fields)
+const VALIDATE     = flag('validate');
+
+// Recent /api/edo/* exchanges for /__inspector (and a console line per request)
+const inspector    = createInspector({ size: Number(process.env.INSPECTOR_SIZE ?? 200) });
+
+// Browser origins allowed to call the proxy cross-origin (CORS). Pages served
+// by the proxy itself are same-origin and need no entry.
+const DEV_ORIGINS  = (process.env.DEV_ORIGINS ?? `http://localhost:${PORT},http://127.0.0.1:${PORT}`)
+  .split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+
+// Per-process secret injected into HTML the proxy serves; /api/dev-auth/status
+// only answers requests that echo it back, so other sites can't read the token
+const DEV_SESSION  = crypto.randomBytes(24).toString('base64url');
+
+if (RECORD && offline()) {
+  console.error('[config] --record needs a real upstream — it cannot be combined with the mock profile or --replay.');
+  process.exit(1);
+}
 
 // ── B2C / OAuth2 PKCE ─────────────────────────────────────────────────────────
 
-const CLIENT_ID    = '66ca0383-bf0c-4dc8-9d57-c852c06a9413';
-const TENANT_ID    = '48d03f3f-62a3-401f-b4a2-2514758215ac';
-const POLICY       = 'B2C_1A_MULTITENANT';
-const B2C_HOST     = 'login.edoenergy.com';
-const REDIRECT_URI = `http://localhost:${PORT}`;
-const SCOPES       = [
-  'https://edoapps.onmicrosoft.com/services/point.read',
-  'https://edoapps.onmicrosoft.com/services/timeseries.read',
-  'https://edoapps.onmicrosoft.com/services/bill.read',
-  'https://edoapps.onmicrosoft.com/services/building.read',
-];
+// Client, tenant, policy and scopes come from the profile
+const REDIRECT_URI     = `http://localhost:${PORT}`;
+const REFRESH_AHEAD_MS = 5 * 60_000;   // renew this long before the access token expires
 
 // ── Token cache ───────────────────────────────────────────────────────────────
 
-let _token       = null;
-let _tokenExpiry = 0;
-const _pkce      = new Map();  // state → verifier; cleaned up after use
-const CACHE_FILE = path.join(__dirname, '.token-cache.json');
+// One session per profile, each backed by .token-cache.<profile>.json, so
+// switching profiles keeps every token (and its background refresh) alive
+const _sessions   = new Map();
+const _pkce       = new Map();  // state → { verifier, profile }; cleaned up after use
+const LEGACY_CACHE_FILE = path.join(__dirname, '.token-cache.json');
 
-// Restore a previously cached token at startup
-try {
-  const c = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
-  if (c.access_token && c.expires_on * 1000 > Date.now() + 60_000) {
-    _token       = c.access_token;
-    _tokenExpiry = c.expires_on * 1000;
+const cacheFileFor = profile => path.join(__dirname, `.token-cache.${profile.name}.json`);
+
+/**
+ * Token state for a profile, restored from its cache file on first use. An
+ * expired access token is still worth loading if a refresh token came with it.
+ */
+function session(profile = _profile) {
+  let s = _sessions.get(profile.name);
+  if (s) return s;
+
+  s = { token: null, expiry: 0, refreshToken: null, refreshTimer: null, refreshing: null };
+  _sessions.set(profile.name, s);
+  if (profile.mock) return s;
+
+  let c = null;
+  try {
+    c = JSON.parse(fs.readFileSync(cacheFileFor(profile), 'utf8'));
+  } catch {
+    // A cache from before profiles existed belongs to the startup profile
+    if (profile.name === startupProfile) {
+      try { c = JSON.parse(fs.readFileSync(LEGACY_CACHE_FILE, 'utf8')); } catch { /* no cache */ }
+    }
   }
-} catch { /* no cache */ }
+  if (c?.access_token && c.expires_on * 1000 > Date.now() + 60_000) {
+    s.token  = c.access_token;
+    s.expiry = c.expires_on * 1000;
+  }
+  s.refreshToken = c?.refresh_token ?? null;
+  return s;
+}
 
-function tokenValid() {
-  return !!(_token && _tokenExpiry > Date.now() + 60_000);
+function tokenValid(profile = _profile) {
+  const s = session(profile);
+  return !!(s.token && s.expiry > Date.now() + 60_000);
 }
 
-function persistToken(result) {
-  _token       = result.access_token;
-  _tokenExpiry = Date.now() + result.expires_in * 1000;
+function persistToken(result, profile = _profile) {
+  const s = session(profile);
+  s.token        = result.access_token;
+  s.expiry       = Date.now() + result.expires_in * 1000;
+  s.refreshToken = result.refresh_token ?? s.refreshToken;   // B2C may rotate it
   try {
-    fs.writeFileSync(CACHE_FILE, JSON.stringify({
-      access_token: _token,
-      expires_on:   Math.floor(_tokenExpiry / 1000),
+    fs.writeFileSync(cacheFileFor(profile), JSON.stringify({
+      access_token:  s.token,
+      expires_on:    Math.floor(s.expiry / 1000),
+      refresh_token: s.refreshToken ?? undefined,
     }));
   } catch { /* best effort */ }
+  scheduleRefresh(profile);
+}
+
+// Drop a profile's token from memory and disk; returns the files removed
+function forgetToken(profile = _profile) {
+  const s = session(profile);
+  clearTimeout(s.refreshTimer);
+  Object.assign(s, { token: null, expiry: 0, refreshToken: null });
+  const files = [cacheFileFor(profile)];
+  if (profile.name === startupProfile) files.push(LEGACY_CACHE_FILE);
+  return files
+    .filter(f => { try { fs.unlinkSync(f); return true; } catch { return false; } })
+    .map(f => path.relative(__dirname, f));
+}
+
+// Renew the access token shortly before it expires
+function scheduleRefresh(profile = _profile) {
+  const s = session(profile);
+  clearTimeout(s.refreshTimer);
+  if (!s.refreshToken || profile.mock || REPLAY) return;
+  const delay = Math.max(0, s.expiry - REFRESH_AHEAD_MS - Date.now());
+  s.refreshTimer = setTimeout(() => refreshAccessToken(profile).catch(() => {}), delay);
+  s.refreshTimer.unref();
+}
+
+/**
+ * Run the refresh_token grant. Resolves true when a new access token is cached.
+ * A rejected refresh token is dropped so the next page load shows Authorize.
+ */
+function refreshAccessToken(profile = _profile) {
+  const s = session(profile);
+  if (!s.refreshToken) return Promise.resolve(false);
+  if (s.refreshing) return s.refreshing;
+
+  s.refreshing = tokenRequest(profile, {
+    grant_type:    'refresh_token',
+    client_id:     profile.clientId,
+    refresh_token: s.refreshToken,
+    redirect_uri:  REDIRECT_URI,
+    scope:         profile.scopes.join(' '),
+  })
+    .then(result => {
+      if (!result.access_token) {
+        console.warn(`[auth:${profile.name}] Refresh rejected: ${result.error_description ?? result.error ?? 'unknown error'}`);
+        s.refreshToken = null;
+        return false;
+      }
+      persistToken(result, profile);
+      console.log(`[auth:${profile.name}] Token refreshed — valid until ${new Date(s.expiry).toLocaleTimeString()}.`);
+      return true;
+    })
+    .catch(err => {
+      // Network trouble — keep the refresh token and try again in a minute
+      console.error(`[auth:${profile.name}] Refresh failed:`, err.message);
+      clearTimeout(s.refreshTimer);
+      s.refreshTimer = setTimeout(() => refreshAccessToken(profile).catch(() => {}), 60_000);
+      s.refreshTimer.unref();
+      return false;
+    })
+    .finally(() => { s.refreshing = null; });
+
+  return s.refreshing;
 }
 
 // ── PKCE helpers ──────────────────────────────────────────────────────────────
@@ -98,20 +270,25 @@ function generatePKCE() {
 
 // ── Token exchange ────────────────────────────────────────────────────────────
 
-function exchangeCode(code, verifier) {
+function exchangeCode(profile, code, verifier) {
+  return tokenRequest(profile, {
+    grant_type:    'authorization_code',
+    client_id:     profile.clientId,
+    code,
+    redirect_uri:  REDIRECT_URI,
+    code_verifier: verifier,
+    scope:         profile.scopes.join(' '),
+  });
+}
+
+// POST a grant to the profile's B2C token endpoint; resolves with the parsed JSON
+function tokenRequest(profile, params) {
   return new Promise((resolve, reject) => {
-    const body = new URLSearchParams({
-      grant_type:    'authorization_code',
-      client_id:     CLIENT_ID,
-      code,
-      redirect_uri:  REDIRECT_URI,
-      code_verifier: verifier,
-      scope:         SCOPES.join(' '),
-    }).toString();
+    const body = new URLSearchParams(params).toString();
 
     const req = https.request({
-      hostname: B2C_HOST,
-      path:     `/${TENANT_ID}/${POLICY}/oauth2/v2.0/token`,
+      hostname: profile.b2cHost,
+      path:     `/${profile.tenantId}/${profile.policy}/oauth2/v2.0/token`,
       method:   'POST',
       headers:  {
         'Content-Type':   'application/x-www-form-urlencoded',
@@ -145,18 +322,393 @@ const MIME = {
   '.woff2':'font/woff2',
 };
 
+// ── Edo API upstream ──────────────────────────────────────────────────────────
+
+// One keep-alive pool per protocol, shared by every upstream call: a fan-out of
+// hundreds of rollups reuses a few warm TLS connections instead of a handshake each
+const UPSTREAM_SOCKETS    = Number(process.env.UPSTREAM_SOCKETS ?? 16);
+// Time allowed from getting a pooled socket until upstream response headers
+// arrive (queueing for a socket doesn't count) — under edo.js's 30 s
+// attempt timeout, so the page gets the 504 (and retries it) rather than a bare timeout
+const UPSTREAM_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS ?? 25_000);
+// Identical GETs/HEADs (same URL, token and headers) within this window share
+// one upstream response, including calls still in flight; 0 disables
+const UPSTREAM_CACHE_MS   = Number(process.env.UPSTREAM_CACHE_MS ?? 5_000);
+const UPSTREAM_CACHE_MAX  = 500;
+// Live values are polled for change (edo.subscribe), so a shared answer would only be stale
+const UNCACHED_PATHS      = /^\/timeseries\/latest\/?$/;
+// Methods that may change what a cached read would return
+const WRITE_METHODS       = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Idle sockets close after 30 s, before typical load-balancer idle limits drop them
+const agents = {
+  'http:':  new http.Agent({ keepAlive: true, maxSockets: UPSTREAM_SOCKETS, timeout: 30_000 }),
+  'https:': new https.Agent({ keepAlive: true, maxSockets: UPSTREAM_SOCKETS, timeout: 30_000 }),
+};
+
+// Page request headers forwarded as sent; body headers only with a body
+const FORWARD_REQUEST_HEADERS = ['Accept', 'Accept-Language', 'Cache-Control', 'If-None-Match', 'If-Modified-Since', 'If-Match', 'If-Unmodified-Since', 'Prefer'];
+const FORWARD_BODY_HEADERS    = ['Content-Type', 'Content-Length', 'Content-Encoding'];
+
+// Encodings asked of upstream — the ones this proxy can undo for callers that need the bytes
+const DECODERS = {
+  br:      { sync: zlib.brotliDecompressSync, stream: zlib.createBrotliDecompress },
+  gzip:    { sync: zlib.gunzipSync,           stream: zlib.createGunzip },
+  deflate: { sync: zlib.inflateSync,          stream: zlib.createInflate },
+};
+const ACCEPT_ENCODING = Object.keys(DECODERS).join(', ');
+
+function forwardHeaders(req) {
+  const headers = { Authorization: req.headers['authorization'] ?? '' };
+  const names   = req.method === 'GET' || req.method === 'HEAD'
+    ? FORWARD_REQUEST_HEADERS
+    : [...FORWARD_REQUEST_HEADERS, ...FORWARD_BODY_HEADERS];
+  for (const name of names) {
+    const v = req.headers[name.toLowerCase()];
+    if (v !== undefined) headers[name] = v;
+  }
+  // fetch() sends */* by default; the API only speaks JSON
+  if (!headers.Accept || headers.Accept === '*/*') headers.Accept = 'application/json';
+  return headers;
+}
+
+// Open a request to the real Edo API; the caller sends the body and handles errors.
+// Each call is noted on the inspector trace, if one is passed. With no response
+// headers UPSTREAM_TIMEOUT_MS after a socket is assigned, the request fails
+// with code UPSTREAM_TIMEOUT.
+function upstreamRequest(method, forwardPath, search, headers, onResponse, trace) {
+  const target = new URL(_profile.apiBase + forwardPath + (search ?? ''));
+  const lib    = target.protocol === 'https:' ? https : http;
+  const call   = { method, url: target.href, status: null, durationMs: null };
+  const start  = Date.now();
+  trace?.upstream.push(call);
+  const upReq = lib.request(
+    {
+      hostname: target.hostname,
+      port:     target.port || (target.protocol === 'https:' ? 443 : 80),
+      path:     target.pathname + target.search,
+      method,
+      agent:    agents[target.protocol],
+      headers:  { 'Accept-Encoding': ACCEPT_ENCODING, ...headers },
+    },
+    (upRes) => {
+      clearTimeout(timer);
+      call.status     = upRes.statusCode;
+      call.durationMs = Date.now() - start;
+      onResponse(upRes);
+    }
+  );
+  let timer = null;
+  if (UPSTREAM_TIMEOUT_MS > 0) {
+    upReq.once('socket', () => {
+      timer = setTimeout(() => {
+        const err = new Error(`No response from ${target.host} within ${UPSTREAM_TIMEOUT_MS} ms`);
+        err.code = 'UPSTREAM_TIMEOUT';
+        upReq.destroy(err);
+      }, UPSTREAM_TIMEOUT_MS);
+    });
+  }
+  upReq.on('error', (err) => { clearTimeout(timer); call.error = err.message; });
+  return upReq;
+}
+
+// Undo Content-Encoding for code that needs the bytes (Lab routes, record, validate)
+function decodeBody(headers, body) {
+  const decoder = DECODERS[headers['content-encoding']];
+  // HEAD answers carry the encoding header but no bytes to undo
+  return decoder && body.length ? decoder.sync(body) : body;
+}
+
+// Does the page's Accept-Encoding allow `encoding` (q=0 opts out)?
+function acceptsEncoding(req, encoding) {
+  return (req.headers['accept-encoding'] ?? '').split(',').some((part) => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    return (name === encoding || name === '*') && (!q || Number(q.slice(2)) > 0);
+  });
+}
+
+// Map a failed upstream call to what the page sees
+function upstreamError(err) {
+  return err.code === 'UPSTREAM_TIMEOUT'
+    ? { status: 504, body: { error: 'Upstream timeout', detail: err.message, timeoutMs: UPSTREAM_TIMEOUT_MS } }
+    : { status: 502, body: { error: 'Proxy error', detail: err.message } };
+}
+
+// ── Upstream read cache ──
+
+const _upstreamCache = new Map();   // key → { expires, promise }
+
+function upstreamCacheKey(target, headers) {
+  // Hashed so tokens are never held as map keys; every header is part of it,
+  // so conditional or differently-authorized requests never share
+  return target + '\0' + crypto.createHash('sha256').update(JSON.stringify(headers)).digest('base64url');
+}
+
+/**
+ * GET (or HEAD) a raw Edo API route in full, body still encoded as upstream
+ * sent it. Identical calls within UPSTREAM_CACHE_MS (or while one is in
+ * flight) share the result; only 2xx responses are kept. UNCACHED_PATHS and
+ * requests sent with `Cache-Control: no-cache` always go upstream. Record and
+ * validate see each real upstream response once.
+ *
+ * @returns {Promise<{ status: number, headers: Object, body: Buffer }>}
+ */
+function upstreamRead(method, forwardPath, search, headers, trace) {
+  const shared = UPSTREAM_CACHE_MS > 0 && !UNCACHED_PATHS.test(forwardPath)
+    && !/no-cache|no-store/i.test(headers['Cache-Control'] ?? '');
+  const key = upstreamCacheKey(method + ' ' + _profile.apiBase + forwardPath + (search ?? ''), headers);
+  const hit = shared ? _upstreamCache.get(key) : null;
+  if (hit && hit.expires > Date.now()) {
+    if (trace?.source === 'upstream') trace.source = 'cache';
+    return hit.promise;
+  }
+  if (hit) _upstreamCache.delete(key);
+
+  const promise = new Promise((resolve, reject) => {
+    const upReq = upstreamRequest(method, forwardPath, search, headers, (upRes) => {
+      const chunks = [];
+      upRes.on('data', c => chunks.push(c));
+      upRes.on('error', reject);
+      upRes.on('end', () => resolve({ status: upRes.statusCode, headers: upRes.headers, body: Buffer.concat(chunks) }));
+    }, trace);
+    upReq.on('error', reject);
+    upReq.end();
+  }).then((result) => {
+    if (RECORD || VALIDATE) {
+      const contentType = result.headers['content-type'];
+      const body        = decodeBody(result.headers, result.body);
+      if (RECORD) recordExchange(method, forwardPath, new URLSearchParams(search ?? ''), { status: result.status, contentType, body });
+      if (method === 'GET' && /json/i.test(contentType ?? '')) checkSchema(forwardPath, result.status, body);
+    }
+    return result;
+  });
+
+  if (shared) {
+    const entry = { expires: Infinity, promise };   // shared while in flight
+    _upstreamCache.set(key, entry);
+    if (_upstreamCache.size > UPSTREAM_CACHE_MAX) _upstreamCache.delete(_upstreamCache.keys().next().value);
+    const forget = () => { if (_upstreamCache.get(key) === entry) _upstreamCache.delete(key); };
+    promise.then(
+      (r) => { if (r.status >= 200 && r.status < 300) entry.expires = Date.now() + UPSTREAM_CACHE_MS; else forget(); },
+      forget
+    );
+  }
+  return promise;
+}
+
+// A write may change what the cached GETs would return
+function clearUpstreamCache() {
+  _upstreamCache.clear();
+}
+
+function recordExchange(method, forwardPath, query, exchange) {
+  try {
+    const file = cassettes.save(method, forwardPath, query, exchange);
+    console.log(`[record] ${method} ${forwardPath} → ${path.relative(__dirname, file)}`);
+  } catch (err) {
+    console.error('[record]', err.message);
+  }
+}
+
+function replayMiss(hit) {
+  console.warn(`[replay] miss  ${hit.key}`);
+  return {
+    error:  'No recorded fixture',
+    detail: `Nothing recorded for ${hit.key} — run with --record against the live API first.`,
+    key:    hit.key,
+    file:   path.relative(__dirname, hit.file),
+  };
+}
+
+function parseJSON(text) {
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+// VALIDATE: check a successful raw response; each distinct diff is logged once
+function checkSchema(forwardPath, status, body) {
+  if (!VALIDATE || status >= 400) return;
+  edoSchema.report(forwardPath, Buffer.isBuffer(body) || typeof body === 'string' ? parseJSON(body.toString()) : body)
+    .then((result) => {
+      if (result?.lines.length) {
+        console.warn(`[validate] ${forwardPath} ≠ schemas/${result.schema}.schema.json\n  ${result.lines.join('\n  ')}`);
+      }
+    })
+    .catch(err => console.warn(`[validate] ${forwardPath}: ${err.message}`));
+}
+
+/**
+ * GET a raw Edo API route and parse the body. Used by the Lab route layer,
+ * which needs data rather than a byte stream; honours mock, replay and
+ * record modes exactly like the pass-through proxy. Upstream failures reject;
+ * an UPSTREAM_TIMEOUT error becomes a 504 in the caller.
+ *
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function fetchEdoJSON(forwardPath, query, authorization, trace) {
+  if (_profile.mock) {
+    const result = mockApi.handle('GET', forwardPath, query);
+    checkSchema(forwardPath, result.status, result.body);
+    return Promise.resolve(result);
+  }
+
+  if (REPLAY) {
+    const hit = cassettes.load('GET', forwardPath, query);
+    if (hit.miss) return Promise.resolve({ status: 404, body: replayMiss(hit) });
+    const body = parseJSON(hit.body);
+    checkSchema(forwardPath, hit.status, body);
+    return Promise.resolve({ status: hit.status, body });
+  }
+
+  const search = [...query].length ? `?${query}` : '';
+  return upstreamRead('GET', forwardPath, search, { Authorization: authorization ?? '', Accept: 'application/json' }, trace)
+    .then(r => ({ status: r.status, body: parseJSON(decodeBody(r.headers, r.body).toString('utf8')) }));
+}
+
+// A Lab route or raw path, answered the way the browser would see it
+function edoGet(forwardPath, query, authorization) {
+  const labRoute = matchLabRoute('GET', forwardPath);
+  return labRoute
+    ? labRoute(query, (rawPath, rawQuery) => fetchEdoJSON(rawPath, rawQuery, authorization))
+    : fetchEdoJSON(forwardPath, query, authorization);
+}
+
+// ── Response helpers ──────────────────────────────────────────────────────────
+
+// Upstream response headers edo.js relies on (request IDs in errors, backoff),
+// plus validators so conditional requests keep working through the proxy
+const PASSTHROUGH_RESPONSE_HEADERS = [
+  'Retry-After', 'X-Request-Id', 'Request-Id', 'X-Ms-Request-Id', 'ETag', 'Last-Modified', 'Vary',
+];
+
+function passthroughHeaders(upstreamHeaders) {
+  const out = {};
+  for (const name of PASSTHROUGH_RESPONSE_HEADERS) {
+    const v = upstreamHeaders[name.toLowerCase()];
+    if (v !== undefined) out[name] = v;
+  }
+  return out;
+}
+
+// Send a buffered upstream response — still compressed if the page accepts the encoding
+function sendUpstream(req, res, { status, headers, body }) {
+  const encoding = headers['content-encoding'];
+  const encoded  = Boolean(encoding) && (!DECODERS[encoding] || acceptsEncoding(req, encoding));
+  const out      = encoding && !encoded ? decodeBody(headers, body) : body;
+  // A HEAD answer has no body to measure; upstream's length holds unless it was decoded
+  const length   = req.method !== 'HEAD' ? out.length : !encoding || encoded ? headers['content-length'] : undefined;
+  res.writeHead(status, {
+    'Content-Type':   headers['content-type'] ?? 'application/json',
+    ...passthroughHeaders(headers),
+    ...(encoded ? { 'Content-Encoding': encoding } : {}),
+    ...(length !== undefined ? { 'Content-Length': length } : {}),
+  });
+  res.end(req.method === 'HEAD' ? undefined : out);
+}
+
+// Hand the page its dev-session secret (read by edo.js from the meta tag)
+function injectDevSession(html) {
+  const tag = `<meta name="edo-dev-session" content="${DEV_SESSION}" />`;
+  const text = html.toString('utf8');
+  return /<\/head>/i.test(text) ? text.replace(/<\/head>/i, `  ${tag}\n</head>`) : tag + text;
+}
+
+function sendHTML(res, html) {
+  res.writeHead(200, { 'Content-Type': MIME['.html'], 'Cache-Control': 'no-store' });
+  res.end(injectDevSession(html));
+}
+
+// This proxy's own origins. Built from PORT, never from the request's Host
+// header, which the client controls
+const PROXY_ORIGINS = [`http://localhost:${PORT}`, `http://127.0.0.1:${PORT}`];
+
+// Origins /__lab may embed (and post the token to): this proxy plus DEV_ORIGINS
+const LAB_ORIGINS = [...new Set([...PROXY_ORIGINS, ...DEV_ORIGINS])];
+
+function labOriginAllowed(src) {
+  // A path-relative src stays on whatever origin the harness page was loaded from
+  // ('//host' and '/\host' are not paths — browsers read both as another host)
+  if (/^\/(?![/\\])/.test(src)) return true;
+  try {
+    return LAB_ORIGINS.includes(new URL(src).origin);
+  } catch {
+    return false;
+  }
+}
+
+// Local files holding tokens or customer data. Profiles and fixtures are never
+// served; edo-dev-config.js only to this proxy's own pages, which load it
+const NEVER_SERVED   = [path.join(__dirname, 'edo-profiles.json'), path.resolve(__dirname, process.env.FIXTURES_DIR ?? 'fixtures')];
+const OWN_PAGES_ONLY = [path.join(__dirname, 'edo-dev-config.js')];
+
+const within = (file, target) => file === target || file.startsWith(target + path.sep);
+
+// CORS can't stop a cross-site <script src>, so ask the browser who is loading:
+// Sec-Fetch-Site where it is sent, else the Referer
+function fromOwnPage(req) {
+  const site = req.headers['sec-fetch-site'];
+  if (site) return site === 'same-origin' || site === 'none';
+  try {
+    return PROXY_ORIGINS.includes(new URL(req.headers['referer']).origin);
+  } catch {
+    return false;
+  }
+}
+
+// What pages (and /__env) see of a profile — never tokens or client secrets
+function profileInfo(p) {
+  return { name: p.name, label: p.label, apiBase: p.apiBase, mock: p.mock };
+}
+
+function describeProfile(p) {
+  return p.mock ? `mock data (seed "${mockApi.seed}") — no upstream calls` : p.apiBase;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Only pages this proxy served know DEV_SESSION; answers 403 for everyone else
+function checkDevSession(req, res) {
+  if (req.headers['x-edo-dev-session'] === DEV_SESSION) return true;
+  sendJSON(res, 403, { error: 'Forbidden', detail: 'Missing or stale dev session — reload the page from the dev proxy' });
+  return false;
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
 // ── Request handler ───────────────────────────────────────────────────────────
 
 async function handleRequest(req, res) {
-  // CORS — allow any local origin during dev
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  // CORS — only configured dev origins; everything else gets no CORS headers
+  const origin        = req.headers.origin;
+  const originAllowed = !origin || DEV_ORIGINS.includes(origin);
+  res.setHeader('Vary', 'Origin');
+  if (origin && originAllowed) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Cache-Control, Content-Type, X-Edo-Dev-Session');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Expose-Headers', PASSTHROUGH_RESPONSE_HEADERS.join(', '));
+  }
 
   if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
 
   const parsed = url.parse(req.url);
 
+  if (!originAllowed && (parsed.pathname.startsWith('/api/') || parsed.pathname.startsWith('/__'))) {
+    console.warn(`[cors] rejected ${req.method} ${parsed.pathname} from ${origin} — add it to DEV_ORIGINS to allow`);
+    sendJSON(res, 403, { error: 'Forbidden', detail: `Origin ${origin} is not in DEV_ORIGINS` });
+    return;
+  }
+
   // ── OAuth callback — B2C redirects back to root with ?code= ─────────────────
   // Redirect URI is http://localhost:PORT (no path), matching the registered URIs
   if (parsed.pathname === '/' && parsed.search?.includes('code=')) {
@@ -176,7 +728,7 @@ async function handleRequest(req, res) {
 </style></head><body>
   <h2>${heading}</h2><p>${detail}</p>
   <script>
-    window.opener?.postMessage('${isError ? 'edo_auth_error' : 'edo_auth_ok'}', '*');
+    window.opener?.postMessage('${isError ? 'edo_auth_error' : 'edo_auth_ok'}', location.origin);
     setTimeout(() => window.close(), 1200);
   </script>
 </body></html>`;
@@ -187,20 +739,22 @@ async function handleRequest(req, res) {
       return;
     }
 
-    const verifier = _pkce.get(state);
+    const pending  = _pkce.get(state);
+    const verifier = pending?.verifier;
+    const profile  = PROFILES[pending?.profile];
     _pkce.delete(state);
 
-    if (!code || !verifier) {
+    if (!code || !verifier || !profile) {
       res.writeHead(400, { 'Content-Type': 'text/html' });
       res.end(page('Invalid callback', 'Missing code or state — please try again.', true));
       return;
     }
 
     try {
-      const result = await exchangeCode(code, verifier);
+      const result = await exchangeCode(profile, code, verifier);
       if (result.access_token) {
-        persistToken(result);
-        console.log('[auth] Token acquired and cached.');
+        persistToken(result, profile);
+        console.log(`[auth:${profile.name}] Token acquired and cached.`);
         res.writeHead(200, { 'Content-Type': 'text/html' });
         res.end(page('Authorized!', 'This window will close automatically.', false));
       } else {
@@ -216,18 +770,24 @@ async function handleRequest(req, res) {
   }
 
   // ── /oauth/start — kick off PKCE auth flow ──────────────────────────────────
+  // Authorizes the active profile; the callback stores the token under it
   if (parsed.pathname === '/oauth/start') {
+    if (_profile.mock) {
+      res.writeHead(409, { 'Content-Type': 'text/plain' });
+      res.end(`Profile "${_profile.name}" needs no authorization.`);
+      return;
+    }
     const state = b64url(crypto.randomBytes(16));
     const { verifier, challenge } = generatePKCE();
-    _pkce.set(state, verifier);
+    _pkce.set(state, { verifier, profile: _profile.name });
 
-    const authUrl = `https://${B2C_HOST}/${TENANT_ID}/${POLICY}/oauth2/v2.0/authorize?` +
+    const authUrl = `https://${_profile.b2cHost}/${_profile.tenantId}/${_profile.policy}/oauth2/v2.0/authorize?` +
       new URLSearchParams({
-        client_id:             CLIENT_ID,
+        client_id:             _profile.clientId,
         response_type:         'code',
         redirect_uri:          REDIRECT_URI,
         response_mode:         'query',
-        scope:                 SCOPES.join(' '),
+        scope:                 _profile.scopes.join(' '),
         code_challenge:        challenge,
         code_challenge_method: 'S256',
         state,
@@ -239,55 +799,225 @@ async function handleRequest(req, res) {
   }
 
   // ── /api/dev-auth/status — edo.js polls this after clicking Authorize ────────
+  // In mock/replay mode no token is needed — edo.js sees `mock: true` and skips auth.
+  // An expired token is refreshed on the spot, so a 401-retry in edo.js gets a fresh one.
+  // Requires the X-Edo-Dev-Session secret from a page this proxy served.
   if (parsed.pathname === '/api/dev-auth/status') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(
-      tokenValid()
-        ? { ready: true, token: _token }
-        : { ready: false }
-    ));
+    if (!checkDevSession(req, res)) return;
+    if (!offline() && !tokenValid()) await refreshAccessToken();
+    const profile = profileInfo(_profile);
+    sendJSON(res, 200,
+      offline()    ? { ready: true, mock: true, mode: _profile.mock ? 'mock' : 'replay', profile } :
+      tokenValid() ? { ready: true, token: session().token, profile }
+                   : { ready: false, profile }
+    );
+    return;
+  }
+
+  // ── /api/dev-auth/logout — edo.logout() drops the active profile's token ────
+  if (parsed.pathname === '/api/dev-auth/logout') {
+    if (req.method !== 'POST') { sendJSON(res, 405, { error: 'Method not allowed' }); return; }
+    if (!checkDevSession(req, res)) return;
+    const removed = forgetToken();
+    console.log(`[auth:${_profile.name}] Logged out from the browser` +
+      (removed.length ? ` — removed ${removed.join(', ')}` : ''));
+    sendJSON(res, 200, { loggedOut: true, profile: _profile.name });
+    return;
+  }
+
+  // ── /__env — list profiles (GET) or switch the active one (POST) ────────────
+  // POST /__env?profile=internal  (or JSON body { "profile": "internal" })
+  // Switching needs the dev-session secret so other sites can't flip it.
+  if (parsed.pathname === '/__env') {
+    if (req.method === 'POST') {
+      if (!checkDevSession(req, res)) return;
+      const body = parseJSON((await readBody(req)).toString('utf8'));
+      const name = new URLSearchParams(parsed.search ?? '').get('profile') ?? body?.profile;
+      const next = PROFILES[name];
+      if (!next) {
+        sendJSON(res, 400, { error: 'Bad request', detail: `Unknown profile "${name}" — available: ${Object.keys(PROFILES).join(', ')}` });
+        return;
+      }
+      if (RECORD && next.mock) {
+        sendJSON(res, 409, { error: 'Conflict', detail: '--record needs a real upstream — cannot switch to a mock profile' });
+        return;
+      }
+      if (next !== _profile) {
+        _profile = next;
+        scheduleRefresh();
+        console.log(`[env] Switched to profile "${next.name}" — ${describeProfile(next)}`);
+      }
+    } else if (req.method !== 'GET') {
+      sendJSON(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    sendJSON(res, 200, {
+      active:   _profile.name,
+      profiles: Object.values(PROFILES).map(p => ({ ...profileInfo(p), authorized: p.mock || tokenValid(p) })),
+    });
+    return;
+  }
+
+  // ── /__lab — local stand-in for the Edo Lab host page ───────────────────────
+  // Embeds the project in an iframe and speaks the host side of the protocol
+  // (EDO_READY → EDO_TOKEN, EDO_CONTEXT, EDO_RESIZE) — see proxy/lab-harness.html.
+  // The harness hands the real token to whatever it embeds, so ?src= must
+  // point at this proxy or a DEV_ORIGINS dev server — never a foreign site.
+  if (parsed.pathname === '/__lab' || parsed.pathname === '/__lab/') {
+    const src = new URLSearchParams(parsed.search ?? '').get('src');
+    if (src && !labOriginAllowed(src)) {
+      console.warn(`[lab] refused ?src=${src} — its origin is not this proxy or in DEV_ORIGINS`);
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(`Refused: ${src} is not served by this proxy or an origin in DEV_ORIGINS, so it must not receive your token.`);
+      return;
+    }
+    fs.readFile(path.join(__dirname, 'proxy', 'lab-harness.html'), (err, data) => {
+      if (err) { res.writeHead(500); res.end('Server error'); return; }
+      // The page re-checks every target against the same list before posting
+      const tag = `<meta name="edo-lab-origins" content="${LAB_ORIGINS.join(' ')}" />`;
+      sendHTML(res, data.toString('utf8').replace(/<\/head>/i, `  ${tag}\n</head>`));
+    });
+    return;
+  }
+
+  // ── /__inspector — recent /api/edo/* exchanges ───────────────────────────────
+  //   GET  /__inspector            viewer page (proxy/inspector.html)
+  //   GET  /__inspector/entries    JSON, ?since=<id> for only newer entries
+  //   GET  /__inspector/har        HAR 1.2 download, Authorization redacted
+  //   POST /__inspector/clear      empty the buffer (needs the dev-session secret)
+  if (parsed.pathname === '/__inspector' || parsed.pathname.startsWith('/__inspector/')) {
+    const sub = parsed.pathname.slice('/__inspector'.length).replace(/\/$/, '');
+    if (sub === '' && req.method === 'GET') {
+      fs.readFile(path.join(__dirname, 'proxy', 'inspector.html'), (err, data) => {
+        if (err) { res.writeHead(500); res.end('Server error'); return; }
+        sendHTML(res, data);
+      });
+    } else if (sub === '/entries' && req.method === 'GET') {
+      const since = Number(new URLSearchParams(parsed.search ?? '').get('since') ?? 0);
+      sendJSON(res, 200, { size: inspector.size, entries: inspector.list({ since }) });
+    } else if (sub === '/har' && req.method === 'GET') {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      res.writeHead(200, {
+        'Content-Type':        'application/json',
+        'Content-Disposition': `attachment; filename="edo-proxy-${stamp}.har"`,
+      });
+      res.end(JSON.stringify(inspector.toHAR(), null, 2));
+    } else if (sub === '/clear' && req.method === 'POST') {
+      if (!checkDevSession(req, res)) return;
+      inspector.clear();
+      sendJSON(res, 200, { cleared: true });
+    } else {
+      sendJSON(res, 404, { error: 'Not found' });
+    }
     return;
   }
 
   // ── /api/edo/* — proxy to Edo API ────────────────────────────────────────────
   if (parsed.pathname.startsWith('/api/edo')) {
     const forwardPath = parsed.pathname.slice('/api/edo'.length) || '/';
-    const target      = new URL(EDO_API_BASE + forwardPath + (parsed.search ?? ''));
-    const lib         = target.protocol === 'https:' ? https : http;
-
-    const proxyReq = lib.request(
-      {
-        hostname: target.hostname,
-        port:     target.port || (target.protocol === 'https:' ? 443 : 80),
-        path:     target.pathname + target.search,
-        method:   req.method,
-        headers:  {
-          Authorization:  req.headers['authorization'] ?? '',
-          'Content-Type': 'application/json',
-          Accept:         'application/json',
-        },
-      },
+    const query       = new URLSearchParams(parsed.search ?? '');
+    const trace       = inspector.track(req, res, {
+      path:     forwardPath + (parsed.search ?? ''),
+      localUrl: `http://localhost:${PORT}${req.url}`,
+    });
+
+    // Lab-server routes are translated onto the raw API and normalized, so
+    // project code written against the Lab runs unchanged here
+    const labRoute = matchLabRoute(req.method, forwardPath);
+    if (labRoute) {
+      trace.source = 'lab';
+      try {
+        const { status, body } = await labRoute(query,
+          (rawPath, rawQuery) => fetchEdoJSON(rawPath, rawQuery, req.headers['authorization'], trace));
+        sendJSON(res, status, body);
+      } catch (err) {
+        console.error('[proxy]', err.message);
+        const { status, body } = upstreamError(err);
+        sendJSON(res, status, body);
+      }
+      return;
+    }
+
+    if (_profile.mock) {
+      trace.source = 'mock';
+      const { status, body } = mockApi.handle(req.method, forwardPath, query);
+      if (req.method === 'GET') checkSchema(forwardPath, status, body);
+      sendJSON(res, status, body);
+      return;
+    }
+
+    if (REPLAY) {
+      trace.source = 'replay';
+      const hit = cassettes.load(req.method, forwardPath, query);
+      if (hit.miss) {
+        sendJSON(res, 404, replayMiss(hit));
+        return;
+      }
+      if (req.method === 'GET') checkSchema(forwardPath, hit.status, hit.body);
+      res.writeHead(hit.status, { 'Content-Type': hit.contentType });
+      res.end(hit.body);
+      return;
+    }
+
+    // Reads are buffered so identical ones can share a response (and be checked)
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      try {
+        sendUpstream(req, res, await upstreamRead(req.method, forwardPath, parsed.search, forwardHeaders(req), trace));
+      } catch (err) {
+        console.error('[proxy]', err.message);
+        const { status, body } = upstreamError(err);
+        sendJSON(res, status, body);
+      }
+      return;
+    }
+
+    // Everything else streams both ways, headers and encoding as sent
+    if (WRITE_METHODS.has(req.method)) clearUpstreamCache();
+    const proxyReq = upstreamRequest(
+      req.method, forwardPath, parsed.search, forwardHeaders(req),
       (proxyRes) => {
+        const contentType = proxyRes.headers['content-type'] ?? 'application/json';
+        const encoding    = proxyRes.headers['content-encoding'];
+        const decoder     = encoding && !acceptsEncoding(req, encoding) ? DECODERS[encoding] : null;
         res.writeHead(proxyRes.statusCode, {
-          'Content-Type': proxyRes.headers['content-type'] ?? 'application/json',
+          'Content-Type': contentType,
+          ...passthroughHeaders(proxyRes.headers),
+          ...(encoding && !decoder ? { 'Content-Encoding': encoding } : {}),
         });
-        proxyRes.pipe(res);
-      }
+
+        if (RECORD) {
+          // Buffer a copy of the body so the whole exchange can be written at once
+          const chunks = [];
+          proxyRes.on('data', c => chunks.push(c));
+          proxyRes.on('end', () => {
+            try {
+              recordExchange(req.method, forwardPath, query, {
+                status: proxyRes.statusCode,
+                contentType,
+                body:   decodeBody(proxyRes.headers, Buffer.concat(chunks)),
+              });
+            } catch (err) {
+              console.error('[record]', err.message);
+            }
+          });
+        }
+        const source = decoder ? proxyRes.pipe(decoder.stream()).on('error', err => res.destroy(err)) : proxyRes;
+        source.pipe(res);
+      },
+      trace
     );
 
     proxyReq.on('error', (err) => {
       console.error('[proxy]', err.message);
       if (!res.headersSent) {
-        res.writeHead(502, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Proxy error', detail: err.message }));
+        const { status, body } = upstreamError(err);
+        sendJSON(res, status, body);
+      } else {
+        res.destroy(err);
       }
     });
 
-    if (req.method !== 'GET' && req.method !== 'HEAD') {
-      req.pipe(proxyReq);
-    } else {
-      proxyReq.end();
-    }
+    req.pipe(proxyReq);
     return;
   }
 
@@ -301,18 +1031,35 @@ async function handleRequest(req, res) {
     res.writeHead(403); res.end('Forbidden'); return;
   }
 
+  // Never serve dotfiles — .token-cache.json, .env.local, .git/…
+  if (path.relative(__dirname, filePath).split(path.sep).some(seg => seg.startsWith('.'))) {
+    res.writeHead(404); res.end('Not found'); return;
+  }
+  if (NEVER_SERVED.some(p => within(filePath, p))) {
+    res.writeHead(404); res.end('Not found'); return;
+  }
+  if (OWN_PAGES_ONLY.some(p => within(filePath, p)) && !fromOwnPage(req)) {
+    console.warn(`[static] refused ${parsed.pathname} to ${req.headers['sec-fetch-site'] ?? req.headers['referer'] ?? 'an unknown page'}`);
+    res.writeHead(403); res.end('Forbidden'); return;
+  }
+
   fs.readFile(filePath, (err, data) => {
     if (err) {
       res.writeHead(err.code === 'ENOENT' ? 404 : 500);
       res.end(err.code === 'ENOENT' ? 'Not found' : 'Server error');
       return;
     }
+    if (path.extname(filePath) === '.html') { sendHTML(res, data); return; }
     res.writeHead(200, { 'Content-Type': MIME[path.extname(filePath)] ?? 'application/octet-stream' });
     res.end(data);
   });
 }
 
-// ── Start server ──────────────────────────────────────────────────────────────
+// ── Start server (or run a CLI subcommand) ────────────────────────────────────
+
+const COMMAND = cliCommand(process.argv);
+
+if (!COMMAND) scheduleRefresh();
 
 const server = http.createServer(async (req, res) => {
   try {
@@ -323,15 +1070,61 @@ const server = http.createServer(async (req, res) => {
   }
 });
 
-server.listen(PORT, () => {
-  console.log(`\nEdo Lab dev proxy`);
-  console.log(`  Local:  http://localhost:${PORT}`);
-  console.log(`  API:    ${EDO_API_BASE}`);
-  if (tokenValid()) {
-    const exp = new Date(_tokenExpiry).toLocaleTimeString();
-    console.log(`  Auth:   cached token valid until ${exp}`);
-  } else {
-    console.log(`  Auth:   no valid token — open http://localhost:${PORT} and click Authorize`);
-  }
-  console.log('');
-});
+if (COMMAND) {
+  // stdout carries command output; route the proxy's own log lines to stderr
+  console.log = console.error;
+  runCli(COMMAND, process.argv.slice(3), {
+    port:               PORT,
+    replay:             REPLAY,
+    profile:            () => _profile,
+    offline,
+    session:            () => session(),
+    reloadSession:      () => { clearTimeout(session().refreshTimer); _sessions.delete(_profile.name); return session(); },
+    tokenValid:         () => tokenValid(),
+    refreshAccessToken: () => refreshAccessToken(),
+    forgetToken:        () => forgetToken(),
+    cacheFile:          () => path.relative(__dirname, cacheFileFor(_profile)),
+    get:                edoGet,
+    listen:             () => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(PORT, resolve);
+    }),
+    close:              () => server.close(),
+  })
+    .then(code => process.exit(code))
+    .catch((err) => { console.error(err.message); process.exit(1); });
+} else {
+  server.listen(PORT, () => {
+    console.log(`\nEdo Lab dev proxy`);
+    console.log(`  Local:  http://localhost:${PORT}`);
+    console.log(`  Lab:    http://localhost:${PORT}/__lab  (iframe host harness)`);
+    console.log(`  Debug:  http://localhost:${PORT}/__inspector  (last ${inspector.size} API calls, HAR export)`);
+    const others = Object.keys(PROFILES).filter(n => n !== _profile.name);
+    console.log(`  Env:    ${_profile.name} (${_profile.label})` +
+      (others.length ? ` — also ${others.join(', ')} (switch: POST /__env)` : ''));
+    console.log(`  API:    ${
+      REPLAY ? `replaying fixtures from ${path.relative(__dirname, cassettes.dir)}/ — no upstream calls`
+             : describeProfile(_profile)}`);
+    if (RECORD) {
+      console.log(`  Record: writing fixtures to ${path.relative(__dirname, cassettes.dir)}/` +
+        (flag('scrub') ? ' (scrubbed)' : ''));
+    }
+    if (!offline()) {
+      console.log(`  Pool:   ${UPSTREAM_SOCKETS} keep-alive sockets, ${UPSTREAM_TIMEOUT_MS / 1000} s upstream timeout, ` +
+        (UPSTREAM_CACHE_MS > 0 ? `identical GETs shared for ${UPSTREAM_CACHE_MS / 1000} s` : 'GET cache off'));
+    }
+    if (VALIDATE) console.log('  Check:  validating responses against schemas/ — drift is logged once per field');
+    if (offline()) {
+      console.log(`  Auth:   not required in ${_profile.mock ? 'mock' : 'replay'} mode`);
+    } else if (tokenValid()) {
+      const exp = new Date(session().expiry).toLocaleTimeString();
+      console.log(`  Auth:   cached token valid until ${exp}` +
+        (session().refreshToken ? ' (auto-refresh on)' : ''));
+    } else if (session().refreshToken) {
+      console.log('  Auth:   cached token expired — refreshing…');
+    } else {
+      console.log(`  Auth:   no valid token — open http://localhost:${PORT} and click Authorize`);
+    }
+    console.log('');
+  });
+}
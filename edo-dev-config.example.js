@@ -12,11 +12,21 @@
  * 4. Copy the Authorization header value (everything after "Bearer ").
  * 5. Paste it below.
  *
- * Tokens expire (typically 1 hour). When yours expires, clear sessionStorage
- * in DevTools (Application → Session Storage → Clear All) and refresh to
- * re-enter a fresh token, or update this file.
+ * Tokens expire (typically 1 hour). A pasted token cannot be refreshed — when
+ * yours expires, edo.js asks dev-proxy.js for a fresh one (if you have
+ * authorized there) and otherwise shows the connect overlay. Update this file
+ * or delete it to rely on the proxy's auto-refreshing token instead.
  */
 window.EDO_DEV_CONFIG = {
   token:        'PASTE_YOUR_B2C_TOKEN_HERE',
   proxyBaseUrl: 'http://localhost:3001',   // where dev-proxy.js is running
+
+  // Optional: what the Lab host would send as EDO_CONTEXT, so edo.context()
+  // and theming can be exercised standalone.
+  // context: {
+  //   siteId:     101,
+  //   buildingId: 2001,
+  //   theme:      { mode: 'dark' },
+  //   locale:     'en-US',
+  // },
 };
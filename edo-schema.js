@@ -0,0 +1,211 @@
+/**
+ * edo-schema.js — response checks against the raw API schemas  (edo.schema)
+ *
+ * schemas/*.schema.json describe the raw field names the README documents
+ * (sites `ID`/`Name`, points `ID`/`PointClassID`/`EquipmentID`/`FormatName`, …).
+ * This file compares a response with them and reports drift — a missing
+ * field, a wrong type, or a field the schema does not know — so an upstream
+ * change shows up as a warning instead of `undefined` somewhere in the UI.
+ *
+ * The same file runs in both places:
+ *   browser  load after edo.js, then edo.configure({ validate: true }); every
+ *            raw-route GET is checked and drift is warned in the console
+ *   node     dev-proxy.js --validate (or VALIDATE=1) checks every proxied
+ *            response and logs drift on the proxy console
+ *
+ * Only raw routes have schemas. Lab routes (/buildings, …) are checked
+ * through the raw calls the dev proxy makes for them.
+ *
+ * Usage:
+ *   const { schema, rows, diffs } = await edo.schema.check('/point/site', body);
+ *   // diffs → [{ kind: 'missing' | 'type' | 'new', path: 'Name', expected, actual, rows, first }]
+ */
+(function (factory) {
+  if (typeof module === 'object' && module.exports) {
+    const fs   = require('fs');
+    const path = require('path');
+    module.exports = factory(name =>
+      JSON.parse(fs.readFileSync(path.join(__dirname, 'schemas', `${name}.schema.json`), 'utf8')));
+  } else if (typeof edo === 'undefined') {
+    console.error('[edo] edo-schema.js must be loaded after edo.js');
+  } else {
+    // Schemas sit next to this script, wherever the project is served from
+    const base = new URL('schemas/', document.currentScript?.src ?? location.href);
+    edo.schema = factory(async (name) => {
+      const res = await fetch(new URL(`${name}.schema.json`, base));
+      if (!res.ok) throw new Error(`schemas/${name}.schema.json: HTTP ${res.status}`);
+      return res.json();
+    });
+  }
+})((load) => {
+  // ── Routes ──────────────────────────────────────────────────────────────────
+
+  // Raw path → schema name; list routes return an array (or a page wrapper) of rows.
+  // First match wins, so /point/equipment/class comes before /point/equipment/:id.
+  const ROUTES = [
+    [/^\/point\/site\/?$/,                         'site'],
+    [/^\/point\/site\/[^/]+\/building\/?$/,        'building'],
+    [/^\/point\/class\/?$/,                        'point-class'],
+    [/^\/point\/building\/[^/]+\/point\/?$/,       'point'],
+    [/^\/point\/equipment\/?$/,                    'equipment'],
+    [/^\/point\/equipment\/class\/?$/,             'equipment-class'],
+    [/^\/point\/equipment\/[^/]+\/?$/,             'equipment', { list: false }],
+    [/^\/point\/equipment\/[^/]+\/point\/?$/,      'point'],
+    [/^\/timeseries\/latest\/?$/,                  'timeseries-latest'],
+    [/^\/timeseries\/rollup\/[^/]+\/[^/]+\/?$/,    'timeseries-rollup'],
+    [/^\/timeseries\/stat\/?$/,                    'timeseries-stat'],
+    [/^\/bill\/account\/?$/,                       'bill-account'],
+    [/^\/bill\/account\/[^/]+\/meter\/?$/,         'meter'],
+    [/^\/bill\/(account|meter)\/[^/]+\/bill\/?$/,  'bill'],
+  ].map(([re, schema, { list = true } = {}]) => ({ re, schema, list }));
+
+  /** The route entry for a raw path (query string ignored), or null. */
+  function schemaFor(path) {
+    const pathname = String(path).split('?')[0];
+    return ROUTES.find(r => r.re.test(pathname)) ?? null;
+  }
+
+  // Loaded once per schema; a failed load is not retried until reload/restart
+  const _schemas = new Map();
+
+  function _load(name) {
+    if (!_schemas.has(name)) _schemas.set(name, Promise.resolve().then(() => load(name)));
+    return _schemas.get(name);
+  }
+
+  // ── Validation ──────────────────────────────────────────────────────────────
+
+  const FORMATS = {
+    'date':      v => /^\d{4}-\d{2}-\d{2}$/.test(v),
+    'date-time': v => /^\d{4}-\d{2}-\d{2}T/.test(v) && !Number.isNaN(Date.parse(v)),
+  };
+
+  function _typeOf(v) {
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'array';
+    if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+    return typeof v;
+  }
+
+  function _is(v, type) {
+    const actual = _typeOf(v);
+    return actual === type || (type === 'number' && actual === 'integer');
+  }
+
+  function _preview(v) {
+    const s = JSON.stringify(v) ?? String(v);
+    return s.length > 40 ? `${s.slice(0, 37)}…` : s;
+  }
+
+  const _join = (path, key) => (path ? `${path}.${key}` : key);
+
+  /**
+   * Compare one value with a schema. Supports the subset the shipped schemas
+   * use: type (string or list), format (date, date-time), properties,
+   * required, additionalProperties and items. Properties the schema doesn't
+   * list are reported as 'new' unless it sets additionalProperties: true.
+   *
+   * @returns {Array<{ kind: 'missing'|'type'|'new', path: string, expected?: string, actual?: string }>}
+   */
+  function validate(schema, value, path = '', out = []) {
+    const types = [].concat(schema.type ?? []);
+    if (types.length && !types.some(t => _is(value, t))) {
+      out.push({ kind: 'type', path, expected: types.join(' | '), actual: `${_typeOf(value)} ${_preview(value)}` });
+      return out;
+    }
+    if (typeof value === 'string' && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      out.push({ kind: 'type', path, expected: `${schema.format} string`, actual: _preview(value) });
+    }
+    if (_typeOf(value) === 'object' && schema.properties) {
+      for (const key of schema.required ?? []) {
+        if (!(key in value)) {
+          out.push({ kind: 'missing', path: _join(path, key), expected: [].concat(schema.properties[key]?.type ?? 'any').join(' | ') });
+        }
+      }
+      for (const [key, v] of Object.entries(value)) {
+        const prop = schema.properties[key];
+        if (prop) validate(prop, v, _join(path, key), out);
+        else if (schema.additionalProperties !== true) out.push({ kind: 'new', path: _join(path, key), actual: _typeOf(v) });
+      }
+    }
+    if (Array.isArray(value) && schema.items) value.forEach((v, i) => validate(schema.items, v, `${path}[${i}]`, out));
+    return out;
+  }
+
+  // ── Checking responses ──────────────────────────────────────────────────────
+
+  // Same page shapes edo.getAll() understands: a bare array or { data | items | results }
+  function _rows(body, list) {
+    if (!list) return [body];
+    if (Array.isArray(body)) return body;
+    const rows = body?.data ?? body?.items ?? body?.results;
+    return Array.isArray(rows) ? rows : null;
+  }
+
+  /**
+   * Check a raw-route response body. Resolves to null when the route has no
+   * schema. Diffs are grouped across rows, so 500 points missing the same
+   * field come back as one entry with `rows: 500` and the `first` row index.
+   *
+   * @param {string} path   raw API path, e.g. '/point/building/2001/point'
+   * @param {any}    body   parsed JSON
+   * @returns {Promise<{ schema: string, rows: number, diffs: Array<{ kind, path, expected?, actual?, rows, first }> } | null>}
+   */
+  async function check(path, body) {
+    const route = schemaFor(path);
+    if (!route) return null;
+    const schema = await _load(route.schema);
+    const rows   = _rows(body, route.list);
+    if (!rows) {
+      return { schema: route.schema, rows: 0,
+        diffs: [{ kind: 'type', path: '(body)', expected: 'array of rows', actual: _typeOf(body), rows: 1, first: null }] };
+    }
+
+    const grouped = new Map();
+    rows.forEach((row, i) => {
+      for (const d of validate(schema, row)) {
+        // Group wrong types by the actual type, not the value, so one line covers every row
+        const key = `${d.kind}\0${d.path}\0${d.kind === 'type' ? d.actual.split(' ')[0] : ''}`;
+        const g   = grouped.get(key);
+        if (g) g.rows++;
+        else grouped.set(key, { ...d, rows: 1, first: route.list ? i : null });
+      }
+    });
+    return { schema: route.schema, rows: rows.length, diffs: [...grouped.values()] };
+  }
+
+  /** One readable line per diff, e.g. `missing "Name" (string) in 12/12 rows`. */
+  function describe(diff, total) {
+    const where = diff.first === null ? '' : ` in ${diff.rows}/${total} rows, first [${diff.first}]`;
+    switch (diff.kind) {
+      case 'missing': return `missing "${diff.path}" (${diff.expected})${where}`;
+      case 'new':     return `new field "${diff.path}" (${diff.actual})${where}`;
+      default:        return `wrong type at "${diff.path}": expected ${diff.expected}, got ${diff.actual}${where}`;
+    }
+  }
+
+  // Diffs already reported, so polling the same drift doesn't flood the log
+  const _reported = new Set();
+
+  /**
+   * check() for loggers: resolves to the lines not reported before in this
+   * page (or proxy process) — empty when nothing new drifted — or null when
+   * the route has no schema.
+   *
+   * @returns {Promise<{ schema: string, lines: string[] } | null>}
+   */
+  async function report(path, body) {
+    const result = await check(path, body);
+    if (!result) return null;
+    const lines = [];
+    for (const d of result.diffs) {
+      const key = `${result.schema}\0${d.kind}\0${d.path}\0${d.expected}\0${d.kind === 'type' ? d.actual.split(' ')[0] : ''}`;
+      if (_reported.has(key)) continue;
+      _reported.add(key);
+      lines.push(describe(d, result.rows));
+    }
+    return { schema: result.schema, lines };
+  }
+
+  return { check, report, validate, describe, schemaFor, ROUTES };
+});
@@ -0,0 +1,396 @@
+/**
+ * edo-ts.js — timeseries utilities for Edo Lab projects  (edo.ts)
+ *
+ * Load after edo.js. Everything here works on data you already fetched; it
+ * never calls the API itself. It covers the merge code every project
+ * otherwise rewrites:
+ *
+ *   series()    normalize rollup rows, /timeseries/latest rows (`latest_ts`) or
+ *               { [pointId]: [{ ts, value }] } into one shape
+ *   resample()  bucket one series onto a fixed grid (mean / sum / last / …)
+ *   align()     resample several series onto a shared grid, flag gaps and
+ *               optionally fill them
+ *   columns()   join point metadata (FormatName, point class text) to point IDs
+ *   formatTs()  timestamps in a given IANA time zone, for display and export
+ *   toCSV() / toJSON() / download()
+ *
+ * Grid buckets start at `start` when given, otherwise at UTC multiples of the
+ * step (weeks start on Monday). Time zones only affect how timestamps are
+ * displayed, never how they are bucketed.
+ *
+ * Usage:
+ *   const { rows } = await edo.timeseries.rollup(ids, { interval: 15, unit: 'minute', start, end });
+ *   const grid = edo.ts.align(rows, { interval: 1, unit: 'hour', method: 'mean', fill: 'previous', maxFill: 2 });
+ *   grid.gaps  → [{ pointId, start, end, buckets, filled }]
+ *   const cols = edo.ts.columns(grid, { points, pointClasses });
+ *   edo.ts.download('ahu-2.csv', edo.ts.toCSV(grid, { columns: cols, timeZone: 'America/Chicago' }));
+ */
+(() => {
+  if (typeof edo === 'undefined') {
+    console.error('[edo] edo-ts.js must be loaded after edo.js');
+    return;
+  }
+
+  const UNIT_MS = { minute: 60_000, hour: 3_600_000, day: 86_400_000, week: 604_800_000 };
+  const WEEK_ANCHOR = Date.UTC(1970, 0, 5);   // a Monday
+  const MAX_TICKS   = 1_000_000;               // a year of minutes is ~525k; more is a mistaken span or step
+
+  // ── Input normalization ─────────────────────────────────────────────────────
+
+  function _time(ts) {
+    const t = ts instanceof Date ? ts.getTime() : typeof ts === 'number' ? ts : Date.parse(ts);
+    return Number.isFinite(t) ? t : null;
+  }
+
+  function _value(v) {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  // Object keys are strings; point IDs are numbers everywhere else
+  const _id = k => (typeof k === 'string' && /^\d+$/.test(k) ? Number(k) : k);
+
+  /**
+   * Normalize timeseries data into Map<pointId, Array<{ t, value }>>, sorted
+   * by time (`t` in epoch ms; non-numeric values become null). Accepts:
+   *   - an edo.timeseries.rollup() result, or its `rows` ([{ pointId, ts, value }])
+   *   - /timeseries/latest rows ([{ id, value, latest_ts }])
+   *   - { [pointId]: [{ ts, value }] } or a Map of the same, e.g. raw
+   *     per-point /timeseries/rollup responses
+   * Rows without a parseable timestamp are dropped.
+   *
+   * @param {Object|Array|Map} input
+   * @returns {Map<number|string, Array<{ t: number, value: number|null }>>}
+   */
+  function series(input) {
+    const out = new Map();
+    const add = (id, ts, value) => {
+      const t = _time(ts);
+      if (t === null) return;
+      if (!out.has(id)) out.set(id, []);
+      out.get(id).push({ t, value: _value(value) });
+    };
+
+    const rows = Array.isArray(input) ? input : Array.isArray(input?.rows) ? input.rows : null;
+    if (rows) {
+      for (const r of rows) add(r.pointId ?? r.id, r.ts ?? r.latest_ts, r.value);
+    } else {
+      const entries = input instanceof Map ? input : Object.entries(input ?? {});
+      for (const [id, points] of entries) {
+        out.set(_id(id), []);
+        (points ?? []).forEach(p => add(_id(id), p.ts ?? p.latest_ts, p.value));
+      }
+    }
+    for (const points of out.values()) points.sort((a, b) => a.t - b.t);
+    return out;
+  }
+
+  // ── Resampling ──────────────────────────────────────────────────────────────
+
+  // Each receives the non-null values that fell in one bucket, in time order
+  const METHODS = {
+    mean:  v => v.reduce((a, b) => a + b, 0) / v.length,
+    sum:   v => v.reduce((a, b) => a + b, 0),
+    min:   v => v.reduce((a, b) => (b < a ? b : a)),
+    max:   v => v.reduce((a, b) => (b > a ? b : a)),
+    first: v => v[0],
+    last:  v => v[v.length - 1],
+    count: v => v.length,
+  };
+
+  function _grid({ interval = 1, unit = 'hour', start, end }, times) {
+    if (!UNIT_MS[unit]) throw new TypeError(`edo.ts: unknown unit "${unit}" — use ${Object.keys(UNIT_MS).join(', ')}`);
+    const step = Number(interval) * UNIT_MS[unit];
+    if (!(step > 0)) throw new TypeError(`edo.ts: interval must be a positive number, got ${interval}`);
+
+    const from   = start !== undefined ? _time(start) : times.reduce((a, b) => (b < a ? b : a), Infinity);
+    const anchor = start !== undefined ? from : unit === 'week' ? WEEK_ANCHOR : 0;
+    const first  = anchor + Math.floor((from - anchor) / step) * step;
+    // `end` is exclusive, like the API's; without it the grid covers the last sample
+    const last   = end !== undefined ? _time(end) - 1 : times.reduce((a, b) => (b > a ? b : a), -Infinity);
+    if (!Number.isFinite(first) || !Number.isFinite(last) || last < first) return { step, ticks: [] };
+    const count = Math.floor((last - first) / step) + 1;
+    if (count > MAX_TICKS) {
+      throw new RangeError(`edo.ts: ${interval} ${unit} steps from ${new Date(first).toISOString()} to ` +
+        `${new Date(last + 1).toISOString()} make ${count.toLocaleString('en-US')} buckets (max ${MAX_TICKS.toLocaleString('en-US')}) — use a larger interval or a shorter span`);
+    }
+
+    const ticks = [];
+    for (let t = first; t <= last; t += step) ticks.push(t);
+    return { step, ticks };
+  }
+
+  function _bucket(points, ticks, step, method) {
+    const agg = METHODS[method];
+    if (!agg) throw new TypeError(`edo.ts: unknown method "${method}" — use ${Object.keys(METHODS).join(', ')}`);
+    const groups = ticks.map(() => []);
+    const first  = ticks[0];
+    for (const { t, value } of points) {
+      const i = Math.floor((t - first) / step);
+      if (value !== null && i >= 0 && i < ticks.length) groups[i].push(value);
+    }
+    return groups.map(g => (g.length ? agg(g) : null));
+  }
+
+  /**
+   * Bucket one series onto a fixed grid. Buckets with no samples are null.
+   *
+   * @param {Array<{ ts|t, value }>} points
+   * @param {Object} [opts]
+   * @param {number} [opts.interval=1]
+   * @param {string} [opts.unit='hour']      'minute' | 'hour' | 'day' | 'week'
+   * @param {string} [opts.method='mean']    'mean' | 'sum' | 'min' | 'max' | 'first' | 'last' | 'count'
+   * @param {string|number|Date} [opts.start]  first bucket (default: the first sample's bucket)
+   * @param {string|number|Date} [opts.end]    exclusive (default: through the last sample)
+   * @returns {Array<{ ts: string, value: number|null }>}
+   */
+  function resample(points, { method = 'mean', ...grid } = {}) {
+    const normalized = (points ?? [])
+      .map(p => ({ t: p.t ?? _time(p.ts ?? p.latest_ts), value: _value(p.value) }))
+      .filter(p => p.t !== null);
+    if (!normalized.length && grid.start === undefined) return [];
+    const { step, ticks } = _grid(grid, normalized.map(p => p.t));
+    const values = _bucket(normalized, ticks, step, method);
+    return ticks.map((t, i) => ({ ts: new Date(t).toISOString(), value: values[i] }));
+  }
+
+  // ── Alignment & gaps ────────────────────────────────────────────────────────
+
+  const FILLS = {
+    zero:     ()                 => 0,
+    previous: (before)           => before,
+    linear:   (before, after, f) => (after === null ? null : before + (after - before) * f),
+  };
+
+  // Fill runs of nulls in place; returns [{ from, to, filled }] index ranges
+  function _gaps(values, fill, maxFill) {
+    const gaps = [];
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] !== null) continue;
+      let j = i;
+      while (j + 1 < values.length && values[j + 1] === null) j++;
+      const before = i > 0 ? values[i - 1] : null;
+      const after  = j + 1 < values.length ? values[j + 1] : null;
+      const length = j - i + 1;
+      let filled = false;
+      if (fill !== null && length <= maxFill) {
+        const fn = typeof fill === 'number' ? () => fill : FILLS[fill];
+        if (!fn) throw new TypeError(`edo.ts: unknown fill "${fill}" — use ${Object.keys(FILLS).join(', ')} or a number`);
+        // previous/linear need a value to extend from; leading gaps stay open
+        if (before !== null || fill === 'zero' || typeof fill === 'number') {
+          const run = [];
+          for (let k = i; k <= j; k++) run.push(fn(before, after, (k - i + 1) / (length + 1)));
+          if (run.every(v => v !== null)) {
+            run.forEach((v, k) => { values[i + k] = v; });
+            filled = true;
+          }
+        }
+      }
+      gaps.push({ from: i, to: j, filled });
+      i = j;
+    }
+    return gaps;
+  }
+
+  /**
+   * Resample several series onto one shared grid — the shape charts, tables
+   * and exports want. Every empty bucket is reported in `gaps`; with `fill`,
+   * gaps of up to `maxFill` buckets are filled as well (and marked `filled`).
+   *
+   * @param {Object|Array|Map} input        anything series() accepts
+   * @param {Object} [opts]                 grid and method as in resample(), plus:
+   * @param {'previous'|'linear'|'zero'|number|null} [opts.fill=null]
+   * @param {number} [opts.maxFill=Infinity]  longest gap (in buckets) to fill
+   * @param {Array}  [opts.pointIds]        column order (default: order of first appearance)
+   * @returns {{
+   *   pointIds: Array,
+   *   stepMs:   number,
+   *   rows:     Array<{ ts: string, [pointId]: number|null }>,
+   *   gaps:     Array<{ pointId, start: string, end: string, buckets: number, filled: boolean }>
+   * }}  gap `end` is exclusive
+   */
+  function align(input, { method = 'mean', fill = null, maxFill = Infinity, pointIds, ...grid } = {}) {
+    const data = series(input);
+    const ids  = pointIds ?? [...data.keys()];
+    const all  = ids.flatMap(id => (data.get(id) ?? []).map(p => p.t));
+    if (!all.length && grid.start === undefined) return { pointIds: ids, stepMs: 0, rows: [], gaps: [] };
+
+    const { step, ticks } = _grid(grid, all);
+    const iso  = ticks.map(t => new Date(t).toISOString());
+    const rows = iso.map(ts => ({ ts }));
+    const gaps = [];
+
+    for (const id of ids) {
+      const values = _bucket(data.get(id) ?? [], ticks, step, method);
+      for (const g of _gaps(values, fill, maxFill)) {
+        gaps.push({
+          pointId: id,
+          start:   iso[g.from],
+          end:     new Date(ticks[g.to] + step).toISOString(),
+          buckets: g.to - g.from + 1,
+          filled:  g.filled,
+        });
+      }
+      values.forEach((v, i) => { rows[i][id] = v; });
+    }
+    return { pointIds: ids, stepMs: step, rows, gaps };
+  }
+
+  // ── Point metadata ──────────────────────────────────────────────────────────
+
+  /**
+   * Describe each point of an align() result for headers and legends. Joins
+   * `points` (raw `ID`/`FormatName`/`PointClassID`, or the Lab routes'
+   * `id`/`name`/`pointClassId`) to `pointClasses` (`value`/`text`, or
+   * `id`/`name`). Labels are made unique by appending the point ID.
+   *
+   * @param {{ pointIds: Array }|Array} aligned   align() result or a list of point IDs
+   * @param {Object} [meta]
+   * @param {Array}  [meta.points]
+   * @param {Array}  [meta.pointClasses]
+   * @returns {Array<{ pointId, name: string|null, pointClassId, className: string|null, label: string }>}
+   */
+  function columns(aligned, { points = [], pointClasses = [] } = {}) {
+    const ids       = Array.isArray(aligned) ? aligned : aligned.pointIds;
+    const pointById = new Map(points.map(p => [p.ID ?? p.id, p]));
+    const classById = new Map(pointClasses.map(c => [c.value ?? c.id, c]));
+
+    const cols = ids.map((pointId) => {
+      const p            = pointById.get(pointId) ?? pointById.get(_id(String(pointId)));
+      const pointClassId = p?.PointClassID ?? p?.pointClassId ?? null;
+      const pc           = classById.get(pointClassId);
+      const name         = p?.FormatName ?? p?.name ?? null;
+      const className    = pc?.text ?? pc?.name ?? null;
+      return { pointId, name, pointClassId, className, label: name ?? className ?? `Point ${pointId}` };
+    });
+
+    const seen = new Map();
+    cols.forEach(c => seen.set(c.label, (seen.get(c.label) ?? 0) + 1));
+    cols.forEach(c => { if (seen.get(c.label) > 1) c.label = `${c.label} (${c.pointId})`; });
+    return cols;
+  }
+
+  // ── Time zones ──────────────────────────────────────────────────────────────
+
+  const _formatters = new Map();
+
+  function _parts(t, timeZone) {
+    if (!_formatters.has(timeZone)) {
+      _formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+      }));
+    }
+    const p = Object.fromEntries(_formatters.get(timeZone).formatToParts(t).map(x => [x.type, x.value]));
+    const offset = Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(t / 1000) * 1000) / 60_000);
+    return { ...p, offset };
+  }
+
+  /**
+   * A timestamp as wall-clock time in `timeZone` (IANA name, default: the
+   * browser's). Styles:
+   *   'iso'      2025-12-01T08:00:00-06:00  (default; unambiguous, sorts, re-parses)
+   *   'datetime' 2025-12-01 08:00
+   *   'date'     2025-12-01
+   *   'time'     08:00
+   *
+   * @param {string|number|Date} ts
+   * @param {Object} [opts]
+   * @param {string} [opts.timeZone]
+   * @param {'iso'|'datetime'|'date'|'time'} [opts.style='iso']
+   * @returns {string}  '' for a missing or unparseable timestamp
+   */
+  function formatTs(ts, { timeZone, style = 'iso' } = {}) {
+    const t = _time(ts);
+    if (t === null) return '';
+    const p = _parts(t, timeZone ?? Intl.DateTimeFormat().resolvedOptions().timeZone);
+    const date = `${p.year}-${p.month}-${p.day}`;
+    const time = `${p.hour}:${p.minute}`;
+    switch (style) {
+      case 'date':     return date;
+      case 'time':     return time;
+      case 'datetime': return `${date} ${time}`;
+      default: {
+        const sign = p.offset < 0 ? '-' : '+';
+        const abs  = Math.abs(p.offset);
+        const off  = p.offset === 0 ? 'Z' : `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+        return `${date}T${time}:${p.second}${off}`;
+      }
+    }
+  }
+
+  // ── Export ──────────────────────────────────────────────────────────────────
+
+  function _labels(aligned, cols) {
+    const byId = new Map((cols ?? []).map(c => [c.pointId, c.label]));
+    return aligned.pointIds.map(id => byId.get(id) ?? String(id));
+  }
+
+  /**
+   * An align() result as CSV: a `ts` column (UTC ISO-8601), a local-time
+   * column when `timeZone` is given, then one column per point.
+   *
+   * @param {Object} aligned            align() result
+   * @param {Object} [opts]
+   * @param {Array}  [opts.columns]     columns() result, for readable headers
+   * @param {string} [opts.timeZone]    adds a `local (<zone>)` column
+   * @param {string} [opts.delimiter=',']
+   * @param {string} [opts.empty='']    written for null values
+   * @returns {string}
+   */
+  function toCSV(aligned, { columns: cols, timeZone, delimiter = ',', empty = '' } = {}) {
+    const quote  = s => (s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+    const header = ['ts', ...(timeZone ? [`local (${timeZone})`] : []), ..._labels(aligned, cols)];
+    const lines  = aligned.rows.map(row => [
+      row.ts,
+      ...(timeZone ? [formatTs(row.ts, { timeZone })] : []),
+      ...aligned.pointIds.map(id => (row[id] === null || row[id] === undefined ? empty : String(row[id]))),
+    ]);
+    return [header, ...lines].map(cells => cells.map(quote).join(delimiter)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * An align() result as JSON text, with column metadata and gaps alongside
+   * the rows so the file stands on its own.
+   *
+   * @param {Object} aligned
+   * @param {Object} [opts]
+   * @param {Array}  [opts.columns]    columns() result
+   * @param {string} [opts.timeZone]   adds `local` to every row
+   * @param {number} [opts.indent=2]
+   * @returns {string}
+   */
+  function toJSON(aligned, { columns: cols, timeZone, indent = 2 } = {}) {
+    return JSON.stringify({
+      stepMs:   aligned.stepMs,
+      timeZone: timeZone ?? null,
+      columns:  cols ?? aligned.pointIds.map(pointId => ({ pointId, label: String(pointId) })),
+      rows:     timeZone ? aligned.rows.map(r => ({ ts: r.ts, local: formatTs(r.ts, { timeZone }), ...r })) : aligned.rows,
+      gaps:     aligned.gaps,
+    }, null, indent);
+  }
+
+  const MIME = { csv: 'text/csv', json: 'application/json', txt: 'text/plain' };
+
+  /**
+   * Save text as a file via a temporary link. The Lab iframe must allow
+   * downloads for this to work in production.
+   *
+   * @param {string} filename             the extension picks the MIME type
+   * @param {string|Blob} content
+   * @param {string} [type]
+   */
+  function download(filename, content, type) {
+    const ext  = filename.split('.').pop().toLowerCase();
+    const blob = content instanceof Blob ? content : new Blob([content], { type: `${type ?? MIME[ext] ?? 'text/plain'};charset=utf-8` });
+    const url  = URL.createObjectURL(blob);
+    const a    = Object.assign(document.createElement('a'), { href: url, download: filename, style: 'display:none' });
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  edo.ts = { series, resample, align, columns, formatTs, toCSV, toJSON, download, METHODS: Object.keys(METHODS) };
+})();
@@ -0,0 +1,718 @@
+/**
+ * edo-ui.js — ready-made UI components for Edo Lab projects  (edo.ui)
+ *
+ * Load after edo.js; styles live in style.css (.edo-picker, .edo-chart …) and follow the
+ * --edo-* theme tokens, so they pick up the Lab host's light/dark theme.
+ * Components build plain DOM inside a container you pass in and return a
+ * small handle (picker: { value, set, on, destroy }; trendChart: { update, destroy }).
+ *
+ *   picker()       cascading site → building → equipment → point selection
+ *   trendChart()   SVG line chart for rollup data with gaps, tooltips and stat bands
+ *
+ * Usage:
+ *   const picker = edo.ui.picker(document.getElementById('pick'), { multiple: true });
+ *   picker.on('change', ({ buildingId, pointIds }) => load(pointIds));
+ *
+ *   const chart = edo.ui.trendChart(document.getElementById('chart'), rows, { unit: 'kW' });
+ *   chart.update(await edo.timeseries.rollup(ids, { interval: 1, unit: 'minute', start, end }));
+ */
+(() => {
+  if (typeof edo === 'undefined') {
+    console.error('[edo] edo-ui.js must be loaded after edo.js');
+    return;
+  }
+
+  // ── DOM helpers ─────────────────────────────────────────────────────────────
+
+  // h('label', { class: 'x', onchange: fn }, 'text', childNode, …) — text is never parsed as HTML
+  function h(tag, attrs = {}, ...children) {
+    const el = document.createElement(tag);
+    for (const [k, v] of Object.entries(attrs)) {
+      if (v === undefined || v === null || v === false) continue;
+      if (k.startsWith('on')) el.addEventListener(k.slice(2), v);
+      else if (k === 'class') el.className = v;
+      else el.setAttribute(k, v === true ? '' : v);
+    }
+    for (const c of children.flat()) {
+      if (c !== null && c !== undefined && c !== false) el.append(c instanceof Node ? c : String(c));
+    }
+    return el;
+  }
+
+  function _options(select, items, { placeholder, value } = {}) {
+    select.replaceChildren(
+      ...(placeholder ? [h('option', { value: '' }, placeholder)] : []),
+      ...items.map(it => h('option', { value: it.value, selected: String(it.value) === String(value) }, it.label))
+    );
+  }
+
+  // Minimal listener registry shared by components
+  function _events(names) {
+    const listeners = Object.fromEntries(names.map(n => [n, new Set()]));
+    return {
+      on(event, fn) {
+        if (!listeners[event]) throw new TypeError(`unknown event "${event}"`);
+        listeners[event].add(fn);
+        return () => listeners[event].delete(fn);
+      },
+      emit(event, detail) {
+        listeners[event].forEach((fn) => {
+          try { fn(detail); } catch (err) { console.error(`[edo] ui "${event}" listener threw:`, err); }
+        });
+      },
+    };
+  }
+
+  // ── Picker ──────────────────────────────────────────────────────────────────
+
+  const PICKER_LEVELS    = ['site', 'building', 'equipment', 'points'];
+  const PICKER_MAX_ROWS  = 500;   // rendered at once; search narrows the rest
+
+  let _pickerSeq = 0;   // gives each picker its own radio group name
+
+  /**
+   * Cascading site → building → equipment → point picker. Each level loads on
+   * demand through edo.model (Lab routes, so it runs in the Lab host and
+   * behind dev-proxy.js alike), so switching back and forth is cached. Points
+   * can be searched, filtered by point class and (with `multiple`) selected
+   * several at a time. The selection is kept in sessionStorage; without one,
+   * the host context's siteId / buildingId is used.
+   *
+   * @param {HTMLElement} container
+   * @param {Object}  [opts]
+   * @param {'building'|'equipment'|'points'} [opts.depth='points']  last level shown
+   * @param {boolean} [opts.multiple=true]       checkboxes (true) or radio buttons (false) for points
+   * @param {number|string} [opts.pointClass]    initial class filter (ID or class text)
+   * @param {string|false} [opts.storageKey='edo.picker']  sessionStorage key; false to not remember
+   * @param {boolean} [opts.followContext=true]  switch building when the Lab host's context changes
+   * @param {(sel: Selection) => void} [opts.onChange]
+   * @returns {{
+   *   element: HTMLElement,
+   *   value:   () => Selection,
+   *   set:     (sel: Partial<Selection>) => Promise<void>,
+   *   on:      (event: 'change'|'error', fn) => () => void,
+   *   destroy: () => void,
+   * }}  Selection: { siteId, buildingId, equipmentId, pointClassId, pointIds, points }
+   */
+  function picker(container, {
+    depth = 'points', multiple = true, pointClass, storageKey = 'edo.picker', followContext = true, onChange,
+  } = {}) {
+    const shows   = level => PICKER_LEVELS.indexOf(level) <= PICKER_LEVELS.indexOf(depth);
+    const events  = _events(['change', 'error']);
+    if (onChange) events.on('change', onChange);
+
+    const state = {
+      siteId: null, buildingId: null, equipmentId: null, pointClassId: null, pointIds: new Set(),
+      sites: [], buildings: [], model: null, points: [],
+    };
+    let loadSeq = 0;   // bumps on every navigation; stale loads check it and bail
+    const radioName = `edo-picker-point-${++_pickerSeq}`;
+
+    // ── Elements ──
+    const field = (label, control, level) =>
+      h('label', { class: `edo-picker__field edo-picker__field--${level}` }, h('span', {}, label), control);
+
+    const siteSel  = h('select', { onchange: () => selectSite(siteSel.value) });
+    const bldgSel  = h('select', { onchange: () => selectBuilding(bldgSel.value) });
+    const equipSel = h('select', { onchange: () => selectEquipment(equipSel.value) });
+    const search   = h('input', { type: 'search', placeholder: 'Search points', oninput: () => renderPoints() });
+    const classSel = h('select', { onchange: () => { state.pointClassId = classSel.value ? Number(classSel.value) : null; renderPoints(); changed(); } });
+    const allBtn   = multiple ? h('button', { type: 'button', class: 'edo-picker__all', onclick: () => toggleAll() }, 'Select all') : null;
+    const count    = h('span', { class: 'edo-picker__count' });
+    const list     = h('ul', { class: 'edo-picker__list', role: 'listbox', 'aria-multiselectable': multiple ? 'true' : 'false' });
+    const status   = h('div', { class: 'edo-picker__status', role: 'status' });
+
+    const element = h('div', { class: 'edo-picker' },
+      h('div', { class: 'edo-picker__levels' },
+        field('Site', siteSel, 'site'),
+        field('Building', bldgSel, 'building'),
+        shows('equipment') && field('Equipment', equipSel, 'equipment'),
+      ),
+      shows('points') && h('div', { class: 'edo-picker__points' },
+        h('div', { class: 'edo-picker__toolbar' }, search, classSel, allBtn, count),
+        list,
+      ),
+      status,
+    );
+    container.replaceChildren(element);
+
+    // ── Selection & persistence ──
+    function value() {
+      const points = state.points.filter(p => state.pointIds.has(p.id));
+      return {
+        siteId:       state.siteId,
+        buildingId:   state.buildingId,
+        equipmentId:  state.equipmentId,
+        pointClassId: state.pointClassId,
+        pointIds:     points.map(p => p.id),
+        points,
+      };
+    }
+
+    function changed() {
+      const sel = value();
+      if (storageKey) {
+        try {
+          const { points, ...ids } = sel;
+          sessionStorage.setItem(storageKey, JSON.stringify(ids));
+        } catch { /* storage full or blocked — selection just isn't remembered */ }
+      }
+      events.emit('change', sel);
+    }
+
+    function stored() {
+      if (!storageKey) return null;
+      try { return JSON.parse(sessionStorage.getItem(storageKey)); } catch { return null; }
+    }
+
+    function fail(error) {
+      status.textContent = `Could not load: ${error.message}`;
+      status.classList.add('edo-picker__status--error');
+      events.emit('error', { error });
+    }
+
+    function busy(select, label) {
+      _options(select, [], { placeholder: label });
+      select.disabled = true;
+    }
+
+    // ── Levels ──
+    async function selectSite(siteId, wanted = {}) {
+      const seq = ++loadSeq;
+      state.siteId = siteId ? Number(siteId) : null;
+      state.buildings = [];
+      busy(bldgSel, state.siteId ? 'Loading…' : '—');
+      clearBuilding();
+      if (!state.siteId) return changed();
+      try {
+        const site = state.sites.find(s => s.id === state.siteId);
+        state.buildings = site ? await site.buildings() : [];
+      } catch (err) { return fail(err); }
+      if (seq !== loadSeq) return;
+      const buildingId = state.buildings.some(b => b.id === Number(wanted.buildingId)) ? wanted.buildingId
+        : state.buildings.length === 1 ? state.buildings[0].id : '';
+      _options(bldgSel, state.buildings.map(b => ({ value: b.id, label: b.name ?? `Building ${b.id}` })),
+        { placeholder: 'Choose a building', value: buildingId });
+      bldgSel.disabled = false;
+      if (buildingId) return selectBuilding(buildingId, wanted);
+      changed();
+    }
+
+    function clearBuilding() {
+      state.buildingId = null;
+      state.model = null;
+      state.equipmentId = null;
+      state.points = [];
+      state.pointIds.clear();
+      busy(equipSel, '—');
+      _options(classSel, [], { placeholder: 'All point classes' });
+      renderPoints();
+    }
+
+    async function selectBuilding(buildingId, wanted = {}) {
+      const seq = ++loadSeq;
+      clearBuilding();
+      state.buildingId = buildingId ? Number(buildingId) : null;
+      if (!state.buildingId || !shows('equipment')) return changed();
+      busy(equipSel, 'Loading…');
+      try {
+        const info = state.buildings.find(b => b.id === state.buildingId);
+        state.model = await (info ? info.model() : edo.model.building(state.buildingId));
+      } catch (err) { return fail(err); }
+      if (seq !== loadSeq) return;
+
+      const equipment = state.model.equipment();
+      const equipmentId = equipment.some(e => e.id === Number(wanted.equipmentId)) ? wanted.equipmentId : '';
+      _options(equipSel, equipment.map(e => ({ value: e.id, label: e.abbreviation ?? e.name ?? `Equipment ${e.id}` })),
+        { placeholder: shows('points') ? 'All equipment' : 'Choose equipment', value: equipmentId });
+      equipSel.disabled = false;
+
+      const cls = state.model.pointClass(wanted.pointClassId ?? pointClass ?? -1);
+      state.pointClassId = cls?.id ?? null;
+      return selectEquipment(equipmentId, wanted);
+    }
+
+    async function selectEquipment(equipmentId, wanted = {}) {
+      const seq = ++loadSeq;
+      state.equipmentId = equipmentId ? Number(equipmentId) : null;
+      state.points = [];
+      if (!shows('points')) return changed();
+      status.textContent = 'Loading points…';
+      renderPoints();
+      try {
+        const equip = state.equipmentId && state.model.equipment(state.equipmentId);
+        state.points = await (equip ? equip.points() : state.model.points());
+      } catch (err) { return fail(err); }
+      if (seq !== loadSeq) return;
+      status.textContent = '';
+      status.classList.remove('edo-picker__status--error');
+
+      // Keep selected points that are still on screen, plus any restored ones
+      const keep = new Set([...state.pointIds, ...(wanted.pointIds ?? [])].map(Number));
+      state.pointIds = new Set(state.points.filter(p => keep.has(p.id)).map(p => p.id));
+      if (!multiple && state.pointIds.size > 1) state.pointIds = new Set([[...state.pointIds][0]]);
+
+      // Only classes that occur here, alphabetically
+      const present = new Set(state.points.map(p => p.pointClassId));
+      const classes = state.model.pointClasses().filter(c => present.has(c.id))
+        .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+      if (!present.has(state.pointClassId)) state.pointClassId = null;
+      _options(classSel, classes.map(c => ({ value: c.id, label: c.name ?? `Class ${c.id}` })),
+        { placeholder: 'All point classes', value: state.pointClassId ?? '' });
+      renderPoints();
+      changed();
+    }
+
+    // ── Point list ──
+    function visiblePoints() {
+      const words = search.value.toLowerCase().split(/\s+/).filter(Boolean);
+      return state.points.filter((p) => {
+        if (state.pointClassId !== null && p.pointClassId !== state.pointClassId) return false;
+        const hay = `${p.name ?? ''} ${p.pointClass?.name ?? ''} ${p.equipment?.abbreviation ?? ''} ${p.id}`.toLowerCase();
+        return words.every(w => hay.includes(w));
+      });
+    }
+
+    function renderPoints() {
+      if (!shows('points')) return;
+      const shown = visiblePoints();
+      list.replaceChildren(...shown.slice(0, PICKER_MAX_ROWS).map(p => h('li', { role: 'option', 'aria-selected': String(state.pointIds.has(p.id)) },
+        h('label', {},
+          h('input', {
+            type:     multiple ? 'checkbox' : 'radio',
+            name:     multiple ? undefined : radioName,
+            value:    p.id,
+            checked:  state.pointIds.has(p.id),
+            onchange: ev => togglePoint(p.id, ev.target.checked),
+          }),
+          h('span', { class: 'edo-picker__name' }, p.name ?? `Point ${p.id}`),
+          h('small', {}, [p.equipment?.abbreviation, p.pointClass?.name].filter(Boolean).join(' · ')),
+        ))));
+      if (shown.length > PICKER_MAX_ROWS) {
+        list.append(h('li', { class: 'edo-picker__more' }, `${shown.length - PICKER_MAX_ROWS} more — refine the search`));
+      }
+      if (!shown.length && state.points.length) list.append(h('li', { class: 'edo-picker__more' }, 'No matching points'));
+      count.textContent = state.points.length ? `${state.pointIds.size} selected · ${shown.length} of ${state.points.length}` : '';
+      if (allBtn) {
+        allBtn.disabled = !shown.length;
+        allBtn.textContent = shown.length && shown.every(p => state.pointIds.has(p.id)) ? 'Clear' : 'Select all';
+      }
+    }
+
+    function togglePoint(id, on) {
+      if (!multiple) state.pointIds.clear();
+      if (on) state.pointIds.add(id);
+      else state.pointIds.delete(id);
+      renderPoints();
+      changed();
+    }
+
+    function toggleAll() {
+      const shown = visiblePoints();
+      const all   = shown.every(p => state.pointIds.has(p.id));
+      shown.forEach(p => (all ? state.pointIds.delete(p.id) : state.pointIds.add(p.id)));
+      renderPoints();
+      changed();
+    }
+
+    // ── Start-up ──
+    /** Jump to a selection (any prefix of siteId → buildingId → equipmentId, plus pointClassId / pointIds). */
+    async function set(sel = {}) {
+      let { siteId } = sel;
+      // A building alone is enough: find its site
+      if (!siteId && sel.buildingId) {
+        for (const s of state.sites) {
+          if ((await s.buildings().catch(() => [])).some(b => b.id === Number(sel.buildingId))) { siteId = s.id; break; }
+        }
+      }
+      if (!state.sites.some(s => s.id === Number(siteId))) siteId = state.sites.length === 1 ? state.sites[0].id : '';
+      siteSel.value = siteId ?? '';
+      await selectSite(siteId, sel);
+      bldgSel.value = state.buildingId ?? '';
+      equipSel.value = state.equipmentId ?? '';
+    }
+
+    async function start() {
+      busy(siteSel, 'Loading…');
+      busy(bldgSel, '—');
+      busy(equipSel, '—');
+      renderPoints();
+      try {
+        await edo.ready();
+        state.sites = await edo.model.sites();
+      } catch (err) { return fail(err); }
+      _options(siteSel, state.sites.map(s => ({ value: s.id, label: s.name ?? `Site ${s.id}` })), { placeholder: 'Choose a site' });
+      siteSel.disabled = false;
+      const ctx = edo.context();
+      await set(stored() ?? { siteId: ctx.siteId, buildingId: ctx.buildingId });
+    }
+
+    const stopContext = followContext
+      ? edo.onContextChange((next, previous) => {
+          if (next.buildingId && next.buildingId !== previous.buildingId && Number(next.buildingId) !== state.buildingId) {
+            set({ siteId: next.siteId, buildingId: next.buildingId });
+          }
+        })
+      : () => {};
+
+    start();
+
+    return {
+      element,
+      value,
+      set,
+      on: events.on,
+      destroy() {
+        loadSeq++;
+        stopContext();
+        element.remove();
+      },
+    };
+  }
+
+  // ── Trend chart ─────────────────────────────────────────────────────────────
+
+  const SVG_NS       = 'http://www.w3.org/2000/svg';
+  const CHART_COLORS = 6;   // --edo-chart-1 … --edo-chart-6 in style.css
+  const MARGIN       = { top: 12, right: 16, bottom: 28, left: 52 };
+  const TIME_STEPS   = [1, 5, 15, 30, 60, 180, 360, 720, 1440, 2880, 10080].map(m => m * 60_000);
+
+  function s(tag, attrs = {}, ...children) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [k, v] of Object.entries(attrs)) if (v !== undefined && v !== null) el.setAttribute(k, v);
+    el.append(...children);
+    return el;
+  }
+
+  const _t = ts => (typeof ts === 'number' ? ts : Date.parse(ts));
+
+  // How far `zone`'s wall clock is ahead of UTC at t, in ms (zone: an en-US h23 numeric formatter)
+  function _zoneOffset(t, zone) {
+    const p = Object.fromEntries(zone.formatToParts(t).map(x => [x.type, x.value]));
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(t / 1000) * 1000;
+  }
+  const _v = v => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+  /**
+   * Accepts everything a project is likely to hold and returns
+   * [{ id, label, color, points: [{ t, v }] }] sorted by time:
+   *   - edo.timeseries.rollup() results or their rows ([{ pointId, ts, value }])
+   *   - edo.ts.align() results ({ pointIds, rows: [{ ts, [id]: value }] })
+   *   - [{ id, label?, color?, points: [{ ts, value }] }]
+   *   - { [id]: [{ ts, value }] }
+   */
+  function _chartSeries(input, labels) {
+    let out;
+    if (input?.pointIds && Array.isArray(input.rows)) {
+      out = input.pointIds.map(id => ({ id, points: input.rows.map(r => ({ t: _t(r.ts), v: _v(r[id]) })) }));
+    } else if (Array.isArray(input) && input.length && Array.isArray(input[0]?.points ?? input[0]?.data)) {
+      out = input.map((sr, i) => ({
+        id: sr.id ?? i, label: sr.label, color: sr.color,
+        points: (sr.points ?? sr.data).map(p => ({ t: _t(p.ts ?? p.t), v: _v(p.value ?? p.v) })),
+      }));
+    } else {
+      const rows  = Array.isArray(input) ? input : Array.isArray(input?.rows) ? input.rows : null;
+      const byId  = new Map();
+      const entry = id => byId.get(id) ?? byId.set(id, { id, points: [] }).get(id);
+      if (rows) rows.forEach(r => entry(r.pointId ?? r.id).points.push({ t: _t(r.ts), v: _v(r.value) }));
+      else Object.entries(input ?? {}).forEach(([id, pts]) => pts.forEach(p => entry(/^\d+$/.test(id) ? Number(id) : id).points.push({ t: _t(p.ts), v: _v(p.value) })));
+      out = [...byId.values()];
+    }
+    for (const sr of out) {
+      sr.points = sr.points.filter(p => Number.isFinite(p.t)).sort((a, b) => a.t - b.t);
+      sr.label  = sr.label ?? (typeof labels === 'function' ? labels(sr.id) : labels?.[sr.id]) ?? String(sr.id);
+    }
+    return out;
+  }
+
+  // Split where a value is missing or samples are further apart than gapMs
+  function _segments(points, gapMs) {
+    const segs = [];
+    let cur = [];
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+      if (p.v === null || (cur.length && p.t - cur[cur.length - 1].t > gapMs)) {
+        if (cur.length) segs.push(cur);
+        cur = [];
+      }
+      if (p.v !== null) cur.push(p);
+    }
+    if (cur.length) segs.push(cur);
+    return segs;
+  }
+
+  // Median spacing × 3 — one missed sample is not a gap, a missing hour of minute data is
+  function _autoGap(series) {
+    const steps = [];
+    for (const sr of series) for (let i = 1; i < sr.points.length && steps.length < 5000; i++) steps.push(sr.points[i].t - sr.points[i - 1].t);
+    steps.sort((a, b) => a - b);
+    return steps.length ? steps[Math.floor(steps.length / 2)] * 3 : Infinity;
+  }
+
+  /**
+   * Largest-Triangle-Three-Buckets: keep `threshold` points that preserve the
+   * visual shape (peaks survive, unlike plain striding or averaging).
+   */
+  function lttb(points, threshold) {
+    if (threshold >= points.length || threshold < 3) return points;
+    const out   = [points[0]];
+    const every = (points.length - 2) / (threshold - 2);
+    let a = 0;
+    for (let i = 0; i < threshold - 2; i++) {
+      // Average of the next bucket is the third triangle corner
+      const nextStart = Math.floor((i + 1) * every) + 1;
+      const nextEnd   = Math.min(Math.floor((i + 2) * every) + 1, points.length);
+      let avgT = 0, avgV = 0;
+      for (let j = nextStart; j < nextEnd; j++) { avgT += points[j].t; avgV += points[j].v; }
+      const n = Math.max(1, nextEnd - nextStart);
+      avgT /= n; avgV /= n;
+
+      const start = Math.floor(i * every) + 1;
+      const end   = Math.floor((i + 1) * every) + 1;
+      let best = start, bestArea = -1;
+      for (let j = start; j < end; j++) {
+        const area = Math.abs((points[a].t - avgT) * (points[j].v - points[a].v) - (points[a].t - points[j].t) * (avgV - points[a].v));
+        if (area > bestArea) { bestArea = area; best = j; }
+      }
+      out.push(points[best]);
+      a = best;
+    }
+    out.push(points[points.length - 1]);
+    return out;
+  }
+
+  function _niceStep(span, target) {
+    const raw  = span / Math.max(1, target);
+    const mag  = 10 ** Math.floor(Math.log10(raw));
+    const norm = raw / mag;
+    return (norm <= 1 ? 1 : norm <= 2 ? 2 : norm <= 5 ? 5 : 10) * mag;
+  }
+
+  // Index of the sample nearest to t (points sorted by t)
+  function _nearest(points, t) {
+    let lo = 0, hi = points.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid].t < t) lo = mid; else hi = mid;
+    }
+    return Math.abs(points[lo].t - t) <= Math.abs(points[hi].t - t) ? lo : hi;
+  }
+
+  /**
+   * SVG trend chart for rollup data — no dependencies. Each series is split
+   * at gaps, downsampled with LTTB to about one point per pixel, and drawn in
+   * the Edo palette (--edo-chart-1 … 6 in style.css). Hovering shows a
+   * tooltip with the nearest raw value of every series, marked with its own
+   * time when that differs from the header's. Pass /timeseries/stat rows as
+   * `stat` to shade each series' min–max range with its average dashed.
+   *
+   *   const chart = edo.ui.trendChart(el, await edo.timeseries.rollup(ids, { interval: 1, unit: 'minute', start, end }), {
+   *     labels: { 101: 'AHU-1 SAT' }, stat: await edo.get('/timeseries/stat', { id: ids, start, end }), unit: '°F',
+   *   });
+   *
+   * @param {HTMLElement} container
+   * @param {Object|Array} series                  see _chartSeries() for accepted shapes
+   * @param {Object}  [opts]
+   * @param {number}  [opts.height=280]
+   * @param {Object<string,string>|Function} [opts.labels]   series id → legend label
+   * @param {Array<{ id, min, avg, max }>} [opts.stat]       /timeseries/stat rows
+   * @param {string}  [opts.unit]                  appended to tooltip values
+   * @param {number}  [opts.gapMs]                 break lines where samples are further apart (default: 3× the median spacing)
+   * @param {number}  [opts.maxPoints]             per series after downsampling (default: plot width in px)
+   * @param {number}  [opts.yMin] / [opts.yMax]    fix the value axis
+   * @param {string}  [opts.timeZone]              for axis and tooltip times (default: the browser's)
+   * @param {boolean} [opts.legend=true]
+   * @returns {{ element: HTMLElement, update: (series, opts?) => void, destroy: () => void }}
+   */
+  function trendChart(container, series, opts = {}) {
+    const element = h('div', { class: 'edo-chart' });
+    const tooltip = h('div', { class: 'edo-chart__tooltip', role: 'tooltip', hidden: true });
+    container.replaceChildren(element);
+
+    let data, options, view;   // view: what the pointer handlers need from the last render
+
+    function render() {
+      const width  = Math.max(200, Math.round(container.clientWidth || 640));
+      const height = options.height ?? 280;
+      const plotW  = width - MARGIN.left - MARGIN.right;
+      const plotH  = height - MARGIN.top - MARGIN.bottom;
+      const fmt    = new Intl.DateTimeFormat(undefined, { timeZone: options.timeZone, month: 'short', day: 'numeric' });
+      const fmtT   = new Intl.DateTimeFormat(undefined, { timeZone: options.timeZone, hour: '2-digit', minute: '2-digit' });
+      const fmtAll = new Intl.DateTimeFormat(undefined, { timeZone: options.timeZone, dateStyle: 'medium', timeStyle: 'short' });
+      const zone   = new Intl.DateTimeFormat('en-US', { timeZone: options.timeZone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' });
+
+      const stats = new Map((Array.isArray(options.stat) ? options.stat : options.stat?.rows ?? []).map(st => [String(st.id), st]));
+      const all   = data.flatMap(sr => sr.points);
+      const vals  = all.filter(p => p.v !== null).map(p => p.v);
+      for (const sr of data) {
+        const st = stats.get(String(sr.id));
+        if (st) vals.push(...[st.min, st.max].map(_v).filter(v => v !== null));
+      }
+
+      const svg = s('svg', { class: 'edo-chart__svg', width, height, viewBox: `0 0 ${width} ${height}`, role: 'img',
+        'aria-label': `Trend of ${data.map(sr => sr.label).join(', ')}` });
+
+      if (!vals.length) {
+        svg.append(s('text', { class: 'edo-chart__empty', x: width / 2, y: height / 2, 'text-anchor': 'middle' }, 'No data'));
+        element.replaceChildren(svg);
+        view = null;
+        return;
+      }
+
+      // ── Scales ──
+      let t0 = Infinity, t1 = -Infinity;
+      for (const p of all) { if (p.t < t0) t0 = p.t; if (p.t > t1) t1 = p.t; }
+      if (t1 === t0) { t0 -= 3_600_000; t1 += 3_600_000; }
+      let lo = options.yMin ?? vals.reduce((a, b) => (b < a ? b : a));
+      let hi = options.yMax ?? vals.reduce((a, b) => (b > a ? b : a));
+      if (hi === lo) { lo -= 1; hi += 1; }
+      const yStep = _niceStep(hi - lo, 5);
+      if (options.yMin === undefined) lo = Math.floor(lo / yStep) * yStep;
+      if (options.yMax === undefined) hi = Math.ceil(hi / yStep) * yStep;
+
+      const x = t => MARGIN.left + ((t - t0) / (t1 - t0)) * plotW;
+      const y = v => MARGIN.top + (1 - (v - lo) / (hi - lo)) * plotH;
+
+      // ── Grid & axes ──
+      const grid = s('g', { class: 'edo-chart__grid' });
+      const axes = s('g', { class: 'edo-chart__axis' });
+      const decimals = Math.max(0, -Math.floor(Math.log10(yStep)));
+      for (let v = lo; v <= hi + yStep / 2; v += yStep) {
+        grid.append(s('line', { x1: MARGIN.left, x2: width - MARGIN.right, y1: y(v), y2: y(v) }));
+        axes.append(s('text', { x: MARGIN.left - 6, y: y(v), 'text-anchor': 'end', 'dominant-baseline': 'middle' }, v.toFixed(decimals)));
+      }
+      const tStep   = TIME_STEPS.find(st => (t1 - t0) / st <= Math.max(2, plotW / 110)) ?? TIME_STEPS.at(-1);
+      const dayTick = tStep >= 86_400_000;
+      let lastDay = null;
+      // Ticks fall on whole steps of wall-clock time in the display zone (local midnights
+      // and hours), then map back to instants; across a DST change a step may be an hour off
+      const wall0 = t0 + _zoneOffset(t0, zone);
+      for (let w = Math.ceil(wall0 / tStep) * tStep; ; w += tStep) {
+        const t = w - _zoneOffset(w - _zoneOffset(w, zone), zone);
+        if (t > t1) break;
+        if (t < t0) continue;
+        grid.append(s('line', { x1: x(t), x2: x(t), y1: MARGIN.top, y2: height - MARGIN.bottom }));
+        // Time-of-day ticks show the date on the first tick of each new day
+        const d   = new Date(t);
+        const day = fmt.format(d);
+        axes.append(s('text', { x: x(t), y: height - MARGIN.bottom + 16, 'text-anchor': 'middle' },
+          dayTick ? day : day !== lastDay ? `${day} ${fmtT.format(d)}` : fmtT.format(d)));
+        lastDay = day;
+      }
+
+      // ── Stat bands ──
+      const bands = s('g', { class: 'edo-chart__bands' });
+      data.forEach((sr, i) => {
+        const st = stats.get(String(sr.id));
+        if (!st || _v(st.min) === null || _v(st.max) === null) return;
+        const cls = `edo-chart__series--${i % CHART_COLORS}`;
+        const style = sr.color ? `fill:${sr.color};stroke:${sr.color}` : undefined;
+        bands.append(
+          s('rect', { class: `edo-chart__band ${cls}`, style, x: MARGIN.left, width: plotW, y: y(st.max), height: Math.max(1, y(st.min) - y(st.max)) },
+            s('title', {}, `${sr.label}: min ${st.min} · avg ${st.avg} · max ${st.max}`)),
+          _v(st.avg) !== null ? s('line', { class: `edo-chart__avg ${cls}`, style, x1: MARGIN.left, x2: width - MARGIN.right, y1: y(st.avg), y2: y(st.avg) }) : '',
+        );
+      });
+
+      // ── Lines ──
+      const gapMs = options.gapMs ?? _autoGap(data);
+      const max   = options.maxPoints ?? plotW;
+      const lines = s('g', { class: 'edo-chart__lines' });
+      data.forEach((sr, i) => {
+        const segs  = _segments(sr.points, gapMs);
+        const total = segs.reduce((n, sg) => n + sg.length, 0);
+        const d = segs.map((seg) => {
+          const pts = lttb(seg, Math.max(3, Math.round(max * seg.length / total)));
+          // A lone sample between gaps still deserves a visible mark
+          if (pts.length === 1) return `M${x(pts[0].t) - 1.5},${y(pts[0].v)}h3`;
+          return 'M' + pts.map(p => `${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`).join('L');
+        }).join('');
+        lines.append(s('path', { class: `edo-chart__line edo-chart__series--${i % CHART_COLORS}`, style: sr.color ? `stroke:${sr.color}` : undefined, d }));
+      });
+
+      // ── Hover layer ──
+      const guide = s('line', { class: 'edo-chart__guide', y1: MARGIN.top, y2: height - MARGIN.bottom, visibility: 'hidden' });
+      const dots  = data.map((sr, i) => s('circle', { class: `edo-chart__dot edo-chart__series--${i % CHART_COLORS}`, style: sr.color ? `fill:${sr.color}` : undefined, r: 3.5, visibility: 'hidden' }));
+      const hit   = s('rect', { class: 'edo-chart__hit', x: MARGIN.left, y: MARGIN.top, width: plotW, height: plotH, fill: 'transparent' });
+
+      svg.append(grid, bands, lines, axes, guide, ...dots, hit);
+      element.replaceChildren(svg, tooltip);
+      if (options.legend ?? true) {
+        element.append(h('ul', { class: 'edo-chart__legend' }, data.map((sr, i) =>
+          h('li', {}, h('span', { class: `edo-chart__swatch edo-chart__series--${i % CHART_COLORS}`, style: sr.color ? `background:${sr.color}` : undefined }), sr.label))));
+      }
+      view = { x, y, t0, t1, plotW, width, guide, dots, fmtAll };
+    }
+
+    function onMove(ev) {
+      if (!view || !ev.target.classList?.contains('edo-chart__hit')) return onLeave();
+      const box = element.querySelector('svg').getBoundingClientRect();
+      const px  = (ev.clientX - box.left) * (view.width / box.width);
+      const t   = view.t0 + ((px - MARGIN.left) / view.plotW) * (view.t1 - view.t0);
+      // Each series' own nearest sample; the header shows the one closest to the
+      // pointer, and rows sampled at another time show their own time
+      const nearest = data.map(sr => (sr.points.length ? sr.points[_nearest(sr.points, t)] : null));
+      let at = null;
+      for (const p of nearest) if (p && (at === null || Math.abs(p.t - t) < Math.abs(at - t))) at = p.t;
+      if (at === null) return onLeave();
+      const rows = [];
+      data.forEach((sr, i) => {
+        const dot = view.dots[i];
+        const p   = nearest[i];
+        if (!p || p.v === null) { dot.setAttribute('visibility', 'hidden'); return; }
+        dot.setAttribute('cx', view.x(p.t));
+        dot.setAttribute('cy', view.y(p.v));
+        dot.setAttribute('visibility', 'visible');
+        rows.push(h('div', {}, h('span', { class: `edo-chart__swatch edo-chart__series--${i % CHART_COLORS}`, style: sr.color ? `background:${sr.color}` : undefined }),
+          `${sr.label}: `, h('strong', {}, `${+p.v.toFixed(3)}${options.unit ? ` ${options.unit}` : ''}`),
+          p.t !== at ? h('small', { class: 'edo-chart__at' }, ` at ${view.fmtAll.format(new Date(p.t))}`) : ''));
+      });
+      view.guide.setAttribute('x1', view.x(at));
+      view.guide.setAttribute('x2', view.x(at));
+      view.guide.setAttribute('visibility', 'visible');
+      tooltip.replaceChildren(h('div', { class: 'edo-chart__time' }, view.fmtAll.format(new Date(at))), ...rows);
+      tooltip.hidden = false;
+      const left = (view.x(at) / view.width) * box.width;
+      tooltip.style.left = `${left}px`;
+      tooltip.classList.toggle('edo-chart__tooltip--left', left > box.width * 0.6);
+    }
+
+    function onLeave() {
+      tooltip.hidden = true;
+      if (!view) return;
+      view.guide.setAttribute('visibility', 'hidden');
+      view.dots.forEach(d => d.setAttribute('visibility', 'hidden'));
+    }
+
+    element.addEventListener('pointermove', onMove);
+    element.addEventListener('pointerleave', onLeave);
+
+    let resizeFrame = 0;
+    const resize = typeof ResizeObserver === 'function'
+      ? new ResizeObserver(() => { cancelAnimationFrame(resizeFrame); resizeFrame = requestAnimationFrame(render); })
+      : null;
+    resize?.observe(container);
+
+    function update(next, nextOpts) {
+      if (nextOpts) options = { ...options, ...nextOpts };
+      data = _chartSeries(next, options.labels);
+      render();
+    }
+
+    options = opts;
+    update(series);
+
+    return {
+      element,
+      update,
+      destroy() {
+        resize?.disconnect();
+        cancelAnimationFrame(resizeFrame);
+        element.remove();
+      },
+    };
+  }
+
+  edo.ui = { ...edo.ui, picker, trendChart, lttb };
+})();
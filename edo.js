@@ -5,11 +5,22 @@
  *
  *   Production (iframe inside Edo Lab):
  *     Signals EDO_READY to parent, waits for EDO_TOKEN via postMessage.
+ *     EDO_* messages are accepted only from the parent frame at a trusted
+ *     origin — configure({ allowedOrigins }) (required in production), else the
+ *     embedding page's origin.
+ *     Protocol v2 adds host context (site/building, theme, locale), automatic
+ *     EDO_RESIZE, navigation requests and error reporting — see "Host frame
+ *     protocol" below. In standalone mode those degrade to local no-ops.
  *
  *   Standalone / local dev (opened directly in a browser):
  *     1. Looks for window.EDO_DEV_CONFIG set by a gitignored edo-dev-config.js.
  *     2. Falls back to sessionStorage (survives page reloads within a session).
  *     3. Shows a token-entry overlay if neither is found.
+ *     If dev-proxy.js runs in mock mode (--mock), auth is skipped entirely.
+ *
+ *   A 401 from the API is treated as a stale token: edo.js fetches a fresh one
+ *   (from dev-proxy, or by sending EDO_TOKEN_REQUEST to the parent frame),
+ *   retries once, and only falls back to the overlay if that fails.
  *
  * Usage:
  *   await edo.ready();
@@ -19,12 +30,322 @@
  *   const rollup  = await edo.get('/timeseries/rollup', {
  *                     id: [1, 2], interval: '1', unit: 'hour',
  *                     start: '2025-12-01T00:00:00Z', end: '2025-12-08T00:00:00Z' });
+ *   const { rows, errors, table } = await edo.timeseries.rollup([1, 2, 3], {
+ *                     interval: 1, unit: 'hour', wide: true });
+ *   const allPts  = await edo.getAll('/point/building/42/point', {}, {
+ *                     onProgress: ({ loaded, total }) => console.log(loaded, total) });
+ *   const stop    = edo.subscribe([1, 2, 3], changes => …, { intervalMs: 15_000 });
+ *   const sats    = await (await edo.model.building(42)).equipment('AHU-2').points({ class: 'Supply Air Temp' });
+ *   const bills   = edo.bills.periods(await edo.bills.list({ buildingId: 42, commodity: 'electric' }));
+ *
+ *   edo.cache.enable({ persist: true });   // opt-in TTL cache + in-flight dedup
+ *   edo.configure({ maxConcurrent: 6, timeoutMs: 20_000, retries: 3 });
+ *   const stats   = await edo.get('/timeseries/stat', { id: [1, 2] }, { signal, timeoutMs: 60_000 });
+ *
+ *   edo.configure({ allowWrites: true });
+ *   await edo.post('/annotations', { pointId: 1, note: 'Sensor recalibrated' });
+ *
+ *   edo.configure({ validate: true });   // with edo-schema.js: warn when responses drift from schemas/
+ *
+ *   const { name, email } = edo.user() ?? {};   // from the token's claims
+ *   edo.on('expiring', ({ msLeft }) => toast(`Session ends in ${Math.round(msLeft / 60_000)} min`));
+ *   await edo.logout();                          // forget the token, show the connect overlay
+ *
+ *   edo.on('error', ({ error }) => {
+ *     if (error instanceof edo.EdoApiError && error.status === 404) …
+ *   });
  */
 const edo = (() => {
   let _token    = null;
   let _proxyBase = null;
+  let _mock      = false;   // dev-proxy is serving mock/replay data — no token needed
+  let _devProfile = null;   // dev-proxy's active environment profile, from /api/dev-auth/status
   let _resolve;
   const _ready = new Promise(r => { _resolve = r; });
+  const _tokenWaiters = [];   // iframe mode: callers waiting for a fresh EDO_TOKEN
+
+  // SDK-wide defaults — see configure()
+  const _config = {
+    maxConcurrent: 8,        // requests in flight across the whole page
+    timeoutMs:     30_000,   // per attempt; 0 disables
+    retries:       2,        // extra attempts on 429/502/503/504 and network errors
+    allowWrites:   false,    // post/put/patch/delete reject until a project opts in
+    autoResize:    true,     // iframe mode: report content height to the host
+    allowedOrigins: null,    // iframe mode: host origins trusted to send EDO_* messages
+    validate:      false,    // debug: check GET responses against schemas/ (needs edo-schema.js)
+  };
+
+  // ── Errors ──────────────────────────────────────────────────────────────────
+  // Every rejection from the SDK is an EdoError subclass, so apps can branch on
+  // `instanceof` and fields instead of matching message strings.
+
+  class EdoError extends Error {
+    constructor(message, props = {}) {
+      super(message, props.cause ? { cause: props.cause } : undefined);
+      this.name = new.target.name;
+      Object.assign(this, props);
+    }
+  }
+
+  /** Non-2xx API response. `body` is the parsed JSON (or text) the API returned. */
+  class EdoApiError extends EdoError {}
+
+  /** 401/403 the SDK could not recover from by refreshing the token. */
+  class EdoAuthError extends EdoApiError {}
+
+  /** The request never got a response (proxy down, DNS, CORS, offline…). */
+  class EdoNetworkError extends EdoError {}
+
+  /** No response within `timeoutMs`. */
+  class EdoTimeoutError extends EdoError {}
+
+  // ── Events ──────────────────────────────────────────────────────────────────
+
+  const _listeners = {
+    request: new Set(), response: new Set(), error: new Set(), auth: new Set(), context: new Set(),
+    expiring: new Set(),
+  };
+
+  function _emit(event, detail) {
+    _listeners[event]?.forEach(fn => {
+      try { fn(detail); } catch (err) { console.error(`[edo] "${event}" listener threw:`, err); }
+    });
+  }
+
+  /**
+   * Subscribe to SDK events — one place for toasts, logging and telemetry.
+   *   'request'  { method, path, params, url, attempt }
+   *   'response' { method, path, params, status, durationMs, requestId }
+   *   'error'    { error, path, params }
+   *   'auth'     { type: 'ready' | 'refreshed' | 'failed' | 'logout', mock? }
+   *   'context'  { context, previous }   (see onContextChange)
+   *   'expiring' { expiresAt, msLeft }   a few minutes before the token expires
+   * @returns {() => void} unsubscribe
+   */
+  function on(event, fn) {
+    if (!_listeners[event]) throw new TypeError(`edo.on: unknown event "${event}"`);
+    _listeners[event].add(fn);
+    return () => off(event, fn);
+  }
+
+  function off(event, fn) {
+    _listeners[event]?.delete(fn);
+  }
+
+  // ── Host frame protocol ─────────────────────────────────────────────────────
+  // Every message is { type, version, …payload }.
+  //   v1  project → host  EDO_READY
+  //       host → project  EDO_TOKEN          { token, proxyBaseUrl, context? }
+  //   v2  project → host  EDO_READY          { version, capabilities }
+  //                       EDO_TOKEN_REQUEST  token went stale (401)
+  //                       EDO_RESIZE         { height }
+  //                       EDO_NAVIGATE       { projectId, params }
+  //                       EDO_ERROR          { name, message, status?, path?, fatal }
+  //                       EDO_LOGOUT         user asked to sign out (edo.logout())
+  //       host → project  EDO_CONTEXT        { context: { siteId, buildingId, theme, locale } }
+
+  const PROTOCOL_VERSION = 2;
+  const CAPABILITIES     = ['context', 'resize', 'navigate', 'error', 'tokenRequest', 'logout'];
+
+  let _context = {
+    siteId:     null,
+    buildingId: null,
+    theme:      {
+      mode:   window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light',
+      tokens: {},   // brand overrides, e.g. { primary: '#282765', accent: '#3EC87A' }
+    },
+    locale:     navigator.language || 'en-US',
+  };
+
+  const _unsentWarned = new Set();   // message types already warned about, so EDO_RESIZE doesn't flood
+  let   _readyUnsent  = false;       // EDO_READY was dropped; configure({ allowedOrigins }) sends it
+
+  // Post to the Lab host; false in standalone mode (nobody to tell)
+  function _postToHost(type, payload = {}) {
+    if (_standalone) return false;
+    const target = _parentOrigin();
+    if (!target) {
+      if (_unsentWarned.has(type)) return false;
+      const why = _config.allowedOrigins
+        ? 'the embedding page is not in allowedOrigins'
+        : 'the embedding page is unknown (no referrer); set edo.configure({ allowedOrigins: [...] })';
+      if (!_unsentWarned.size) {
+        // The first drop usually means no handshake at all — say so where it can't be missed
+        console.error(`[edo] Cannot talk to the Lab host: ${why}. Nothing is sent, not even EDO_READY, ` +
+          'so no token arrives and edo.ready() keeps waiting. allowedOrigins is required in production.');
+      } else {
+        console.warn(`[edo] Not sending ${type} — ${why}`);
+      }
+      _unsentWarned.add(type);
+      return false;
+    }
+    window.parent.postMessage({ type, version: PROTOCOL_VERSION, ...payload }, target);
+    return true;
+  }
+
+  function _setContext(next = {}) {
+    const previous = _context;
+    _context = {
+      ...previous,
+      ...next,
+      theme: {
+        ...previous.theme,
+        ...next.theme,
+        tokens: { ...previous.theme.tokens, ...next.theme?.tokens },
+      },
+    };
+    _applyTheme(_context.theme);
+    _emit('context', { context: context(), previous });
+  }
+
+  // Theme → <html data-theme> + --edo-* custom properties consumed by style.css
+  function _applyTheme({ mode, tokens }) {
+    const root = document.documentElement;
+    root.dataset.theme = mode;
+    Object.entries(tokens).forEach(([name, value]) => {
+      root.style.setProperty(`--edo-${name.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`, value);
+    });
+  }
+
+  function _startAutoResize() {
+    if (_standalone || !_config.autoResize || typeof ResizeObserver === 'undefined') return;
+    let last  = 0;
+    let frame = 0;
+    const send = () => {
+      frame = 0;
+      const height = Math.ceil(document.body.getBoundingClientRect().bottom + window.scrollY);
+      if (height !== last) { last = height; _postToHost('EDO_RESIZE', { height }); }
+    };
+    new ResizeObserver(() => { if (!frame) frame = requestAnimationFrame(send); }).observe(document.body);
+    send();
+  }
+
+  /**
+   * Current host context: { siteId, buildingId, theme: { mode, tokens }, locale }.
+   * In standalone mode it comes from EDO_DEV_CONFIG.context (if set) and the browser.
+   */
+  function context() {
+    return structuredClone(_context);
+  }
+
+  /**
+   * Call `cb(context, previous)` whenever the host changes the selection,
+   * theme or locale.
+   * @returns {() => void} unsubscribe
+   */
+  function onContextChange(cb) {
+    return on('context', ({ context: next, previous }) => cb(next, previous));
+  }
+
+  /**
+   * Ask the Lab host to open another project.
+   * @returns {boolean} false in standalone mode or when the host is untrusted (nothing happens)
+   */
+  function navigate(projectId, params = {}) {
+    if (_postToHost('EDO_NAVIGATE', { projectId, params })) return true;
+    if (_standalone) console.info(`[edo] navigate → "${projectId}" ignored: no Lab host in standalone mode.`, params);
+    return false;
+  }
+
+  /**
+   * Surface an error in the Lab host's UI (e.g. a banner). Standalone mode
+   * logs it to the console instead.
+   * @returns {boolean} true if the host was told
+   */
+  function reportError(error, { fatal = false } = {}) {
+    const payload = {
+      name:    error?.name ?? 'Error',
+      message: error?.message ?? String(error),
+      status:  error?.status,
+      path:    error?.path,
+      fatal,
+    };
+    if (_postToHost('EDO_ERROR', payload)) return true;
+    console.error('[edo] reportError:', error);
+    return false;
+  }
+
+  // ── Identity & token lifetime ───────────────────────────────────────────────
+
+  const EXPIRY_WARNING_MS = 5 * 60_000;   // 'expiring' fires this long before exp
+  let _expiryTimer = null;
+
+  // Decode — not verify — the JWT payload; null for opaque or malformed tokens
+  function _claims(token = _token) {
+    try {
+      const b64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(b64), c => c.charCodeAt(0))));
+    } catch {
+      return null;
+    }
+  }
+
+  // Every token change goes through here so the 'expiring' timer stays in step
+  function _setToken(token) {
+    _token = token || null;
+    clearTimeout(_expiryTimer);
+    const msLeft = (expiresAt()?.getTime() ?? 0) - Date.now();
+    if (msLeft <= 0) return;
+    _expiryTimer = setTimeout(() => {
+      const exp = expiresAt();
+      if (exp) _emit('expiring', { expiresAt: exp, msLeft: exp.getTime() - Date.now() });
+    }, Math.max(0, msLeft - EXPIRY_WARNING_MS));
+  }
+
+  /**
+   * Who is signed in, read from the token's claims. The SDK does not verify
+   * the token — use this for display, not for access decisions.
+   * @returns {{ id: string|null, name: string|null, email: string|null, tenant: string|null, claims: Object } | null}
+   *          null in mock mode, before ready(), or for a non-JWT token
+   */
+  function user() {
+    const c = _claims();
+    if (!c) return null;
+    return {
+      id:     c.oid ?? c.sub ?? null,
+      name:   c.name ?? ([c.given_name, c.family_name].filter(Boolean).join(' ') || null),
+      email:  c.email ?? c.emails?.[0] ?? c.preferred_username ?? null,
+      tenant: c.tid ?? c.tenantId ?? c.tenant ?? null,
+      claims: c,
+    };
+  }
+
+  /** When the current token expires, or null if unknown (mock mode, opaque token). */
+  function expiresAt() {
+    const exp = _claims()?.exp;
+    return typeof exp === 'number' ? new Date(exp * 1000) : null;
+  }
+
+  /**
+   * Sign out. Standalone: forgets the token in this tab and dev-proxy's cached
+   * token for its active profile, then shows the connect overlay again.
+   * In the Lab: clears the token and sends EDO_LOGOUT so the host can sign out.
+   * Resolves once signed out, without waiting for a reconnect.
+   */
+  async function logout() {
+    const proxyUrl = _proxyBase ?? 'http://localhost:3001';
+    _setToken(null);
+    await invalidateCache();
+    _emit('auth', { type: 'logout' });
+
+    if (!_standalone) {
+      _postToHost('EDO_LOGOUT');
+      return;
+    }
+
+    sessionStorage.removeItem('EDO_DEV_TOKEN');
+    sessionStorage.removeItem('EDO_DEV_PROXY');
+    if (_mock) return;   // mock data needs no token — nothing else to forget
+
+    try {
+      const r = await fetch(`${proxyUrl}/api/dev-auth/logout`, { method: 'POST', headers: _devHeaders() });
+      if (!r.ok) console.warn(`[edo] dev-proxy did not clear its token cache (HTTP ${r.status}).`);
+    } catch { /* dev-proxy not running — nothing cached there */ }
+    if (window.EDO_DEV_CONFIG?.token) {
+      console.warn('[edo] edo-dev-config.js still holds a token and will reconnect on reload — remove it to stay signed out.');
+    }
+    _showOverlay(proxyUrl).then(() => _emit('auth', { type: 'refreshed' }));
+  }
 
   const _standalone = window.parent === window;
 
@@ -33,7 +354,7 @@ const edo = (() => {
     const cfg = window.EDO_DEV_CONFIG;
     if (cfg?.token) {
       // edo-dev-config.js is present — connect silently
-      _token    = cfg.token;
+      _setToken(cfg.token);
       _proxyBase = cfg.proxyBaseUrl ?? 'http://localhost:3001';
       setTimeout(_resolve, 0);
     } else {
@@ -42,15 +363,34 @@ const edo = (() => {
   } else {
     // ── Iframe / production mode ───────────────────────────────────────────────
     window.addEventListener('message', (event) => {
-      if (event.data?.type !== 'EDO_TOKEN') return;
-      _token    = event.data.token;
-      _proxyBase = event.data.proxyBaseUrl;
-      _resolve();
+      const type = event.data?.type;
+      if (typeof type !== 'string' || !type.startsWith('EDO_')) return;
+      if (event.source !== window.parent) {
+        console.warn(`[edo] Ignored ${type} from ${event.origin}: not sent by the parent frame.`);
+        return;
+      }
+      if (!_hostOriginAllowed(event.origin)) {
+        console.warn(`[edo] Ignored ${type} from untrusted origin ${event.origin} — ` +
+          'add it with edo.configure({ allowedOrigins: [...] }) if this is your Lab host.');
+        return;
+      }
+      switch (type) {
+        case 'EDO_TOKEN':
+          _setToken(event.data.token);
+          _proxyBase = event.data.proxyBaseUrl;
+          if (event.data.context) _setContext(event.data.context);
+          _resolve();
+          _tokenWaiters.splice(0).forEach(fn => fn(true));
+          break;
+        case 'EDO_CONTEXT':
+          _setContext(event.data.context);
+          break;
+      }
     });
 
     function signalReady() {
-      const parentOrigin = document.referrer ? new URL(document.referrer).origin : '*';
-      window.parent.postMessage({ type: 'EDO_READY' }, parentOrigin);
+      _readyUnsent = !_postToHost('EDO_READY', { capabilities: CAPABILITIES });
+      _startAutoResize();
     }
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', signalReady);
@@ -59,36 +399,108 @@ const edo = (() => {
     }
   }
 
+  function _referrerOrigin() {
+    try { return document.referrer ? new URL(document.referrer).origin : null; } catch { return null; }
+  }
+
+  let _warnedReferrer = false;
+
+  // Explicit allowlist wins; without one, trust only the page that embedded us
+  function _hostOriginAllowed(origin) {
+    if (_config.allowedOrigins) return _config.allowedOrigins.includes(origin);
+    if (!_warnedReferrer) {
+      _warnedReferrer = true;
+      console.warn('[edo] No allowedOrigins configured — trusting the embedding page ' +
+        `(${_referrerOrigin() ?? 'unknown: no referrer'}). Set edo.configure({ allowedOrigins: [...] }).`);
+    }
+    return origin === _referrerOrigin();
+  }
+
+  // Target origin for outgoing messages; null when no trusted host can be
+  // determined — messages carry error details, so never fall back to '*'
+  function _parentOrigin() {
+    const ref     = _referrerOrigin();
+    const allowed = _config.allowedOrigins;
+    if (!allowed) return ref;
+    if (allowed.includes(ref)) return ref;
+    return allowed.length === 1 ? allowed[0] : null;
+  }
+
+  // ── Dev-proxy status ────────────────────────────────────────────────────────
+
+  // dev-proxy only hands out the token to pages it served: they carry a
+  // per-session secret in <meta name="edo-dev-session">
+  function _devHeaders() {
+    const session = document.querySelector('meta[name="edo-dev-session"]')?.content;
+    return session ? { 'X-Edo-Dev-Session': session } : {};
+  }
+
+  async function _devStatus(proxyUrl) {
+    const r = await fetch(`${proxyUrl}/api/dev-auth/status`, { headers: _devHeaders() });
+    const d = await r.json();
+    if (r.status === 403) {
+      console.warn('[edo] dev-proxy refused the token request — open the page from the proxy ' +
+        `(${proxyUrl}) or reload it after restarting the proxy.`);
+      d.refused = true;
+    }
+    if (d.profile && d.profile.name !== _devProfile?.name) {
+      _devProfile = d.profile;
+      console.info(`[edo] dev-proxy profile: ${d.profile.name} — ${d.profile.mock ? 'mock data' : d.profile.apiBase}`);
+    }
+    return d;
+  }
+
   // ── Dev overlay ─────────────────────────────────────────────────────────────
 
   function _initDevOverlay() {
     // Check sessionStorage first — token survives reload within a browser session
     const saved = sessionStorage.getItem('EDO_DEV_TOKEN');
     if (saved) {
-      _token     = saved;
+      _setToken(saved);
       _proxyBase = sessionStorage.getItem('EDO_DEV_PROXY') || 'http://localhost:3001';
       setTimeout(_resolve, 0);
       return;
     }
 
-    document.addEventListener('DOMContentLoaded', async () => {
-      const hashProxy = new URLSearchParams(window.location.hash.slice(1)).get('proxy');
-      const proxyUrl  = hashProxy || 'http://localhost:3001';
+    document.addEventListener('DOMContentLoaded', () => _connectDev().then(_resolve));
+  }
+
+  function _setDevToken(token, proxyUrl) {
+    _setToken(token);
+    _proxyBase = proxyUrl;
+    sessionStorage.setItem('EDO_DEV_TOKEN', token);
+    sessionStorage.setItem('EDO_DEV_PROXY', proxyUrl);
+  }
 
-      // If dev-proxy is already running with a valid token, connect silently
-      try {
-        const r = await fetch(`${proxyUrl}/api/dev-auth/status`);
-        const d = await r.json();
-        if (d.ready) {
-          _token     = d.token;
-          _proxyBase = proxyUrl;
-          sessionStorage.setItem('EDO_DEV_TOKEN', d.token);
-          sessionStorage.setItem('EDO_DEV_PROXY', proxyUrl);
-          _resolve();
-          return;
-        }
-      } catch { /* dev-proxy not running — show overlay */ }
+  // Resolves once connected — silently via dev-proxy if it can, else via the overlay
+  async function _connectDev() {
+    const hashProxy = new URLSearchParams(window.location.hash.slice(1)).get('proxy');
+    const proxyUrl  = hashProxy || 'http://localhost:3001';
 
+    // If dev-proxy is already running with a valid token, connect silently
+    try {
+      const d = await _devStatus(proxyUrl);
+      if (d.mock) {
+        // Mock mode — the proxy serves synthetic data and ignores the token
+        _mock      = true;
+        _proxyBase = proxyUrl;
+        return;
+      }
+      if (d.ready) {
+        _setDevToken(d.token, proxyUrl);
+        return;
+      }
+    } catch { /* dev-proxy not running — show overlay */ }
+
+    await _showOverlay(proxyUrl);
+  }
+
+  // Token-entry overlay; resolves once the user has connected. Only one is
+  // ever shown — a 401 while it is open waits on the same one.
+  let _overlay = null;
+
+  function _showOverlay(proxyUrl) {
+    _overlay ??= new Promise((done) => {
       // ── Build overlay ────────────────────────────────────────────────────────
       const el = document.createElement('div');
       el.style.cssText = [
@@ -134,6 +546,8 @@ const edo = (() => {
         </div>
         <div style="font-size:12px;color:rgba(255,255,255,0.3)">
           Proxy → <span id="_edo_proxy">${proxyUrl}</span>
+          ${_devProfile ? `· profile <strong style="color:rgba(255,255,255,0.6)">${_devProfile.name}</strong>
+            <span style="opacity:0.7">(${_devProfile.apiBase ?? 'mock'})</span>` : ''}
         </div>`;
 
       document.body.appendChild(el);
@@ -143,12 +557,11 @@ const edo = (() => {
 
       function finishConnect(token) {
         if (_poll) { clearInterval(_poll); _poll = null; }
-        _token     = token;
-        _proxyBase = proxyUrl;
-        sessionStorage.setItem('EDO_DEV_TOKEN', token);
-        sessionStorage.setItem('EDO_DEV_PROXY', proxyUrl);
+        window.removeEventListener('message', onAuthMessage);
+        _setDevToken(token, proxyUrl);
         el.remove();
-        _resolve();
+        _overlay = null;
+        done();
       }
 
       // ── Authorize button — PKCE flow via dev-proxy ───────────────────────────
@@ -166,9 +579,13 @@ const edo = (() => {
         // Poll dev-proxy for token (handles popup blocked + opener not set)
         _poll = setInterval(async () => {
           try {
-            const r = await fetch(`${proxyUrl}/api/dev-auth/status`);
-            const d = await r.json();
+            const d = await _devStatus(proxyUrl);
             if (d.ready) finishConnect(d.token);
+            // Won't change until the page is opened from the proxy — stop asking
+            if (d.refused) {
+              clearInterval(_poll); _poll = null;
+              statusEl.textContent = 'Dev proxy refused this page — open it from the proxy, or paste your token below.';
+            }
           } catch {
             clearInterval(_poll); _poll = null;
             statusEl.textContent = 'Dev proxy not responding — paste your token below.';
@@ -177,11 +594,15 @@ const edo = (() => {
       });
 
       // postMessage from the callback popup — immediate connect on success
-      window.addEventListener('message', async (event) => {
+      async function onAuthMessage(event) {
+        if (event.data !== 'edo_auth_ok' && event.data !== 'edo_auth_error') return;
+        if (event.origin !== new URL(proxyUrl).origin) {
+          console.warn(`[edo] Ignored ${event.data} from ${event.origin} — expected the dev proxy at ${proxyUrl}`);
+          return;
+        }
         if (event.data === 'edo_auth_ok') {
           try {
-            const r = await fetch(`${proxyUrl}/api/dev-auth/status`);
-            const d = await r.json();
+            const d = await _devStatus(proxyUrl);
             if (d.ready) finishConnect(d.token);
           } catch { /* poll will catch it */ }
         }
@@ -189,7 +610,8 @@ const edo = (() => {
           document.getElementById('_edo_status').textContent =
             'Authorization failed — paste your token below.';
         }
-      });
+      }
+      window.addEventListener('message', onAuthMessage);
 
       // ── Paste fallback ───────────────────────────────────────────────────────
       function connectWithToken() {
@@ -204,6 +626,288 @@ const edo = (() => {
         if (e.key === 'Enter') connectWithToken();
       });
     });
+    return _overlay;
+  }
+
+  // ── 401 recovery ────────────────────────────────────────────────────────────
+
+  let _recovering = null;
+
+  /**
+   * Called when the API answers 401. Tries to obtain a fresh token without
+   * user interaction; concurrent callers share one attempt.
+   * @returns {Promise<boolean>} true if a new token is in place and the request is worth retrying
+   */
+  function _recoverAuth() {
+    if (!_recovering) {
+      _recovering = (_standalone ? _recoverStandalone() : _requestParentToken())
+        .then(ok => { _emit('auth', { type: ok ? 'refreshed' : 'failed' }); return ok; })
+        .finally(() => { _recovering = null; });
+    }
+    return _recovering;
+  }
+
+  async function _recoverStandalone() {
+    const stale = _token;
+    // dev-proxy refreshes its token in the background — pick up the new one
+    try {
+      const d = await _devStatus(_proxyBase);
+      if (d.ready && d.token && d.token !== stale) {
+        _setDevToken(d.token, _proxyBase);
+        return true;
+      }
+    } catch { /* dev-proxy not running — fall through to the overlay */ }
+
+    // Silent refresh failed — ask the user to reconnect, then retry
+    sessionStorage.removeItem('EDO_DEV_TOKEN');
+    await _showOverlay(_proxyBase);
+    return true;
+  }
+
+  function _requestParentToken() {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        const i = _tokenWaiters.indexOf(onToken);
+        if (i !== -1) _tokenWaiters.splice(i, 1);
+        resolve(false);
+      }, 10_000);
+      function onToken(ok) { clearTimeout(timer); resolve(ok); }
+      _tokenWaiters.push(onToken);
+      _postToHost('EDO_TOKEN_REQUEST');
+    });
+  }
+
+  // ── Request scheduling: concurrency limit, backoff, abort ────────────────────
+
+  const RETRY_STATUS = new Set([429, 502, 503, 504]);
+
+  let _active = 0;
+  const _queue = [];
+
+  function _drain() {
+    while (_active < _config.maxConcurrent && _queue.length) {
+      _active++;
+      _queue.shift().resolve();
+    }
+  }
+
+  function _acquire(signal) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+      // A long-lived signal outlasts many requests, so its listener goes once the slot is granted
+      const onAbort = () => {
+        const i = _queue.indexOf(entry);
+        if (i !== -1) { _queue.splice(i, 1); reject(signal.reason); }
+      };
+      const entry = { resolve: () => { signal?.removeEventListener('abort', onAbort); resolve(); } };
+      _queue.push(entry);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      _drain();
+    });
+  }
+
+  function _release() {
+    _active--;
+    _drain();
+  }
+
+  // Exponential backoff with jitter; Retry-After (seconds or HTTP date) wins when present
+  function _backoff(attempt, retryAfter) {
+    if (retryAfter) {
+      const secs = Number(retryAfter);
+      const ms   = Number.isFinite(secs) ? secs * 1000 : Date.parse(retryAfter) - Date.now();
+      if (ms >= 0) return Math.min(ms, 60_000);
+    }
+    const base = Math.min(500 * 2 ** attempt, 10_000);
+    return base / 2 + Math.random() * base / 2;
+  }
+
+  function _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      const onAbort = () => { clearTimeout(timer); reject(signal.reason); };
+      const timer   = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Settle with `promise`, or reject early if the caller's signal aborts
+  function _abortable(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) return reject(signal.reason);
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.finally(() => signal.removeEventListener('abort', onAbort)).then(resolve, reject);
+    });
+  }
+
+  /**
+   * Set SDK-wide defaults.
+   *
+   * @param {Object} opts
+   * @param {number} [opts.maxConcurrent=8]  requests in flight at once; the rest queue
+   * @param {number} [opts.timeoutMs=30000]  per-attempt timeout (0 = none)
+   * @param {number} [opts.retries=2]        retries on 429/502/503/504 and network errors
+   * @param {boolean} [opts.allowWrites=false] enable post/put/patch/delete
+   * @param {boolean} [opts.autoResize=true]   iframe mode: send EDO_RESIZE as content height changes
+   * @param {string[]} [opts.allowedOrigins]   iframe mode: Lab host origins accepted for EDO_* messages;
+   *                                           required in production (default: the embedding page's
+   *                                           origin from document.referrer, with a warning — nothing
+   *                                           at all when the host sends no referrer)
+   * @param {boolean} [opts.validate=false]    debug: warn when GET responses drift from schemas/ (load edo-schema.js)
+   */
+  function configure(opts = {}) {
+    Object.assign(_config, opts);
+    _drain();
+    // A handshake dropped for want of a trusted origin can go ahead now
+    if (opts.allowedOrigins && _readyUnsent) _readyUnsent = !_postToHost('EDO_READY', { capabilities: CAPABILITIES });
+  }
+
+  // ── Response cache (opt-in) ─────────────────────────────────────────────────
+
+  const _MIN  = 60_000;
+  const _HOUR = 60 * _MIN;
+
+  // First matching rule wins; `match` is a path prefix or a RegExp tested
+  // against the path. Routes with no matching rule are never cached.
+  const DEFAULT_CACHE_RULES = [
+    { match: /^\/(point\/class|point-classes)/,      ttlMs: 6 * _HOUR },
+    { match: /^\/(point\/site|buildings\/?$|buildings\/sites)/, ttlMs: 30 * _MIN },
+    { match: /^\/(point|buildings|equipment)\//,    ttlMs: 10 * _MIN },
+    { match: '/timeseries/latest',                  ttlMs: 15_000 },
+    { match: /^\/timeseries\//,                      ttlMs: 5 * _MIN },
+  ];
+
+  const _cache = {
+    enabled:  false,
+    rules:    DEFAULT_CACHE_RULES,
+    persist:  false,
+    entries:  new Map(),   // url → { path, value, expires }
+    inflight: new Map(),   // url → Promise
+    hits: 0, misses: 0, deduped: 0, persistedHits: 0,
+  };
+
+  function _matches(match, path) {
+    return match instanceof RegExp ? match.test(path) : path.startsWith(match);
+  }
+
+  function _ttlFor(path) {
+    return _cache.rules.find(r => _matches(r.match, path))?.ttlMs ?? 0;
+  }
+
+  // ── IndexedDB persistence ──
+
+  let _idbPromise = null;
+
+  function _idb() {
+    if (!_idbPromise) {
+      _idbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open('edo-cache', 1);
+        req.onupgradeneeded = () => req.result.createObjectStore('responses');
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => reject(req.error);
+      });
+    }
+    return _idbPromise;
+  }
+
+  async function _idbTx(mode, fn) {
+    const db = await _idb();
+    return new Promise((resolve, reject) => {
+      const tx     = db.transaction('responses', mode);
+      const result = fn(tx.objectStore('responses'));
+      tx.oncomplete = () => resolve(result?.result);
+      tx.onerror    = () => reject(tx.error);
+    });
+  }
+
+  async function _idbDeleteWhere(test) {
+    await _idbTx('readwrite', store => {
+      store.openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        if (test(cursor.value)) cursor.delete();
+        cursor.continue();
+      };
+    });
+  }
+
+  // Cached / deduplicated GET; `load` performs the actual network call
+  async function _cachedGet(path, key, load) {
+    const now   = Date.now();
+    const entry = _cache.entries.get(key);
+    if (entry && entry.expires > now) { _cache.hits++; return entry.value; }
+
+    if (_cache.inflight.has(key)) { _cache.deduped++; return _cache.inflight.get(key); }
+
+    const ttl = _ttlFor(path);
+    const promise = (async () => {
+      if (ttl && _cache.persist) {
+        const stored = await _idbTx('readonly', store => store.get(key)).catch(() => null);
+        if (stored && stored.expires > Date.now()) {
+          _cache.entries.set(key, stored);
+          _cache.persistedHits++;
+          return stored.value;
+        }
+      }
+      _cache.misses++;
+      const value = await load();
+      if (ttl) {
+        const fresh = { path, value, expires: Date.now() + ttl };
+        _cache.entries.set(key, fresh);
+        if (_cache.persist) _idbTx('readwrite', store => store.put(fresh, key)).catch(() => {});
+      }
+      return value;
+    })();
+
+    _cache.inflight.set(key, promise);
+    try   { return await promise; }
+    finally { _cache.inflight.delete(key); }
+  }
+
+  /**
+   * Turn on caching for get(). Cached values are shared between callers —
+   * treat them as read-only.
+   *
+   * @param {Object}  [opts]
+   * @param {Array<{ match: string|RegExp, ttlMs: number }>} [opts.rules]  replaces the default TTL rules
+   * @param {boolean} [opts.persist=false]   also keep entries in IndexedDB so they survive reloads
+   */
+  function enableCache({ rules, persist = false } = {}) {
+    _cache.enabled = true;
+    _cache.rules   = rules ?? DEFAULT_CACHE_RULES;
+    _cache.persist = persist && typeof indexedDB !== 'undefined';
+  }
+
+  function disableCache() {
+    _cache.enabled = false;
+    _cache.entries.clear();
+  }
+
+  /**
+   * Drop cached entries whose path matches (prefix string or RegExp); no
+   * argument clears everything, including the IndexedDB copy.
+   */
+  async function invalidateCache(pattern) {
+    const test = pattern === undefined ? () => true : e => _matches(pattern, e.path);
+    for (const [key, e] of _cache.entries) if (test(e)) _cache.entries.delete(key);
+    if (_cache.persist) await _idbDeleteWhere(test).catch(() => {});
+  }
+
+  function cacheStats() {
+    const now = Date.now();
+    return {
+      enabled:       _cache.enabled,
+      persist:       _cache.persist,
+      entries:       _cache.entries.size,
+      fresh:         [..._cache.entries.values()].filter(e => e.expires > now).length,
+      inflight:      _cache.inflight.size,
+      hits:          _cache.hits,
+      misses:        _cache.misses,
+      deduped:       _cache.deduped,
+      persistedHits: _cache.persistedHits,
+    };
   }
 
   // ── Public API ───────────────────────────────────────────────────────────────
@@ -217,12 +921,71 @@ const edo = (() => {
   /**
    * Authenticated GET to any Edo Lab API route.
    *
+   * Retries 429/502/503/504 with exponential backoff (honouring Retry-After)
+   * and runs under the global concurrency limit set with configure().
+   *
    * @param {string} path    e.g. '/buildings', '/timeseries/latest'
    * @param {Object} params  query params; arrays become repeated keys (?id=1&id=2)
+   * @param {Object} [opts]
+   * @param {AbortSignal} [opts.signal]   abort to cancel (rejects with the signal's reason)
+   * @param {number}      [opts.timeoutMs] per-attempt timeout, overrides configure()
+   * @param {number}      [opts.retries]   overrides configure()
    * @returns {Promise<any>} parsed JSON
    */
-  async function get(path, params = {}) {
+  async function get(path, params = {}, opts = {}) {
+    await _ready;
+    const url = _buildUrl(path, params);
+    const req = { method: 'GET', url, path, params };
+    if (!_cache.enabled) return _fetchJSON(req, opts);
+    // A shared (deduplicated) fetch must not die with one caller's signal —
+    // each caller stops waiting on its own signal instead
+    return _abortable(
+      _cachedGet(path, url.toString(), () => _fetchJSON(req, { ...opts, signal: undefined })),
+      opts.signal
+    );
+  }
+
+  // ── Writes ──
+
+  // Non-idempotent methods are not retried unless the caller asks for it
+  const _IDEMPOTENT = new Set(['GET', 'PUT', 'DELETE']);
+
+  async function _write(method, path, body, params = {}, opts = {}) {
+    if (!_config.allowWrites) {
+      throw new EdoError(
+        `edo.${method.toLowerCase()}(${path}) blocked: writes are disabled. ` +
+        'Call edo.configure({ allowWrites: true }) to enable them for this project.',
+        { code: 'WRITES_DISABLED', method, path }
+      );
+    }
     await _ready;
+    const req    = { method, url: _buildUrl(path, params), path, params, body };
+    const result = await _fetchJSON(req, {
+      ...opts,
+      retries: opts.retries ?? (_IDEMPOTENT.has(method) ? _config.retries : 0),
+    });
+    // Anything cached under the written path is now stale
+    if (_cache.enabled) await invalidateCache(path);
+    return result;
+  }
+
+  /**
+   * Authenticated writes. `body` is serialized as JSON; otherwise these share
+   * URL building, auth, retries/timeouts and error types with get(). Writes are
+   * rejected unless the project opts in with edo.configure({ allowWrites: true }).
+   *
+   * @param {string} path
+   * @param {any}    [body]     JSON-serializable
+   * @param {Object} [params]   query params, as for get()
+   * @param {Object} [opts]     { signal, timeoutMs, retries } — POST/PATCH default to no retries
+   * @returns {Promise<any>} parsed JSON (null for an empty response)
+   */
+  const post  = (path, body, params, opts) => _write('POST', path, body, params, opts);
+  const put   = (path, body, params, opts) => _write('PUT', path, body, params, opts);
+  const patch = (path, body, params, opts) => _write('PATCH', path, body, params, opts);
+  const del   = (path, body, params, opts) => _write('DELETE', path, body, params, opts);
+
+  function _buildUrl(path, params) {
     const url = new URL(`/api/edo${path}`, _proxyBase);
     Object.entries(params).forEach(([k, v]) => {
       if (Array.isArray(v)) {
@@ -231,15 +994,734 @@ const edo = (() => {
         url.searchParams.set(k, String(v));
       }
     });
-    const res = await fetch(url.toString(), {
-      headers: { Authorization: `Bearer ${_token}` },
+    return url;
+  }
+
+  async function _fetchJSON(req, opts) {
+    try {
+      return await _fetchWithRetry(req, opts);
+    } catch (err) {
+      if (err.name !== 'AbortError') _emit('error', { error: err, path: req.path, params: req.params });
+      throw err;
+    }
+  }
+
+  async function _fetchWithRetry(req, { signal, timeoutMs = _config.timeoutMs, retries = _config.retries } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let res, text;
+      try {
+        ({ res, text } = await _attempt(req, attempt, signal, timeoutMs));
+        // Stale token — refresh it (proxy, parent frame or overlay) and retry once
+        if (res.status === 401 && await _recoverAuth()) ({ res, text } = await _attempt(req, attempt, signal, timeoutMs));
+      } catch (err) {
+        // Network failure (fetch rejects with TypeError) is retried; aborts and timeouts are not
+        if (!(err instanceof TypeError) || signal?.aborted) throw err;
+        if (attempt >= retries) {
+          throw new EdoNetworkError(`Edo API unreachable: ${req.path} (${err.message})`,
+            { path: req.path, params: req.params, cause: err });
+        }
+        await _sleep(_backoff(attempt), signal);
+        continue;
+      }
+
+      if (RETRY_STATUS.has(res.status) && attempt < retries) {
+        await _sleep(_backoff(attempt, res.headers.get('Retry-After')), signal);
+        continue;
+      }
+      if (!res.ok) throw _apiError(req, res, text);
+      const body = text ? _parseBody(req, res, text) : null;
+      if (_config.validate && req.method === 'GET') _validate(req.path, body);
+      return body;
+    }
+  }
+
+  // ── Schema validation (debug) ──
+  // With configure({ validate: true }) every GET body is compared with
+  // schemas/ by edo-schema.js; drift is warned once per distinct diff.
+
+  let _validateWarned = false;
+
+  function _validate(path, body) {
+    const schema = edo.schema;
+    if (!schema) {
+      if (!_validateWarned) console.warn('[edo] validate: true needs edo-schema.js loaded after edo.js — nothing is checked.');
+      _validateWarned = true;
+      return;
+    }
+    schema.report(path, body).then((result) => {
+      if (result?.lines.length) {
+        console.warn(`[edo] ${path} does not match schemas/${result.schema}.schema.json:\n  ${result.lines.join('\n  ')}`);
+      }
+    }).catch(err => console.warn(`[edo] could not check ${path}: ${err.message}`));
+  }
+
+  function _requestId(res) {
+    return res.headers.get('x-request-id') ?? res.headers.get('request-id') ??
+      res.headers.get('x-ms-request-id') ?? null;
+  }
+
+  function _apiError(req, res, text) {
+    let body = text;
+    try { body = JSON.parse(text); } catch { /* keep text */ }
+    const detail = typeof body === 'string' ? body : (body?.detail ?? body?.message ?? body?.error ?? text);
+    const Class  = res.status === 401 || res.status === 403 ? EdoAuthError : EdoApiError;
+    return new Class(
+      `Edo API ${res.status} ${req.path}${detail ? ': ' + String(detail).slice(0, 200) : ''}`,
+      { status: res.status, path: req.path, params: req.params, body, requestId: _requestId(res) }
+    );
+  }
+
+  // A 2xx that isn't JSON (an HTML login or gateway page, a truncated body) is an API error too
+  function _parseBody(req, res, text) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new EdoApiError(
+        `Edo API ${res.status} ${req.path}: response is not JSON: ${text.slice(0, 200)}`,
+        { status: res.status, path: req.path, params: req.params, body: text, requestId: _requestId(res) }
+      );
+    }
+  }
+
+  // One request under the concurrency limit, with its own timeout
+  async function _attempt(req, attempt, signal, timeoutMs) {
+    await _acquire(signal);
+    const ctrl     = new AbortController();
+    const onAbort  = () => ctrl.abort(signal.reason);
+    let   timedOut = false;
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = timeoutMs ? setTimeout(() => { timedOut = true; ctrl.abort(); }, timeoutMs) : null;
+    const start = Date.now();
+    _emit('request', { method: req.method, path: req.path, params: req.params, url: req.url.toString(), attempt });
+    try {
+      const headers = _token ? { Authorization: `Bearer ${_token}` } : {};
+      if (req.body !== undefined) headers['Content-Type'] = 'application/json';
+      const res  = await fetch(req.url.toString(), {
+        method:  req.method,
+        headers,
+        body:    req.body !== undefined ? JSON.stringify(req.body) : undefined,
+        signal:  ctrl.signal,
+      });
+      const text = await res.text();
+      _emit('response', {
+        method: req.method, path: req.path, params: req.params, status: res.status,
+        durationMs: Date.now() - start, requestId: _requestId(res),
+      });
+      return { res, text };
+    } catch (err) {
+      if (timedOut) {
+        throw new EdoTimeoutError(`Edo API request timed out after ${timeoutMs} ms: ${req.path}`,
+          { path: req.path, params: req.params, timeoutMs });
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      _release();
+    }
+  }
+
+  // ── Pagination ──────────────────────────────────────────────────────────────
+
+  // Pages come back either as a bare array or wrapped with a total count
+  function _pageRows(body) {
+    if (Array.isArray(body)) return { rows: body, total: null };
+    const rows  = body?.data ?? body?.items ?? body?.results ?? [];
+    const total = body?.total ?? body?.totalCount ?? body?.TotalCount ?? null;
+    return { rows: Array.isArray(rows) ? rows : [], total };
+  }
+
+  /**
+   * Async iterator over a paged listing such as /point/building/:id/point.
+   * Requests `pageNumber` 1, 2, … until an empty page, `total` (when the API
+   * reports one), or a page shorter than the server's own page size says there
+   * is nothing left. The server may cap `pageSize`, so a short first page is
+   * only known to be the last once the next one comes back empty.
+   *
+   *   for await (const page of edo.paginate(`/point/building/${id}/point`)) { … }
+   *
+   * @param {string} path
+   * @param {Object} [params]               passed through; pageSize/pageNumber are managed here
+   * @param {Object} [opts]
+   * @param {number} [opts.pageSize=500]
+   * @param {number} [opts.maxPages=Infinity]
+   * @param {(p: { page: number, loaded: number, total: number|null }) => void} [opts.onProgress]
+   * @param {AbortSignal} [opts.signal]
+   * @yields {Array} rows of each page
+   */
+  async function* paginate(path, params = {}, { pageSize = params.pageSize ?? 500, maxPages = Infinity, onProgress, signal } = {}) {
+    let loaded = 0;
+    let served = 0;      // the server's page size: the longest page so far
+    let first  = null;   // first row of the previous page, to spot a listing that ignores pageNumber
+    for (let page = 1; page <= maxPages; page++) {
+      const { rows, total } = _pageRows(await get(path, { ...params, pageSize, pageNumber: page }, { signal }));
+      if (!rows.length || JSON.stringify(rows[0]) === first) return;
+      first   = JSON.stringify(rows[0]);
+      served  = Math.max(served, rows.length);
+      loaded += rows.length;
+      onProgress?.({ page, loaded, total });
+      yield rows;
+      if (rows.length < served || (total !== null && loaded >= total)) return;
+    }
+  }
+
+  /**
+   * Every row of a paged listing as one array. Warns when `maxPages` stops
+   * the walk before the listing is exhausted.
+   *
+   * @param {string} path
+   * @param {Object} [params]
+   * @param {Object} [opts]   same as paginate()
+   * @returns {Promise<Array>}
+   */
+  async function getAll(path, params = {}, opts = {}) {
+    const all  = [];
+    let last   = null;
+    let served = 0;
+    let full   = false;   // whether the last page was as long as the longest
+    for await (const rows of paginate(path, params, { ...opts, onProgress: p => { last = p; opts.onProgress?.(p); } })) {
+      all.push(...rows);
+      served = Math.max(served, rows.length);
+      full   = rows.length === served;
+    }
+    if (last && last.page === opts.maxPages && full && !(last.total !== null && last.loaded >= last.total)) {
+      console.warn(`[edo] getAll ${path}: stopped at maxPages=${opts.maxPages} — results may be truncated.`);
+    }
+    return all;
+  }
+
+  // ── Timeseries helpers ──────────────────────────────────────────────────────
+
+  // Run fn over items with at most `limit` in flight; never rejects
+  async function _pool(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+      while (next < items.length) {
+        const i = next++;
+        try   { results[i] = { ok: true, value: await fn(items[i], i) }; }
+        catch (error) { results[i] = { ok: false, error }; }
+      }
+    }
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+    return results;
+  }
+
+  /**
+   * Rollups for many points at once. The API only rolls up one point per
+   * request and its rows carry no point ID, so this fans out the per-point
+   * calls through a bounded pool and tags every row with `pointId`.
+   * A failing point is reported in `errors` instead of rejecting the batch.
+   *
+   * @param {number[]} ids
+   * @param {Object}  [opts]
+   * @param {number|string} [opts.interval=1]
+   * @param {string}  [opts.unit='hour']     'minute' | 'hour' | 'day' | 'week'
+   * @param {string}  [opts.start]           ISO-8601
+   * @param {string}  [opts.end]             ISO-8601
+   * @param {number}  [opts.concurrency=6]   max requests in flight
+   * @param {boolean} [opts.wide=false]      also build `table`: one row per ts, one column per point
+   * @param {AbortSignal} [opts.signal]
+   * @returns {Promise<{ rows: Array<{pointId, ts, value}>, errors: Array<{pointId, error}>, table?: Array<Object> }>}
+   */
+  async function rollup(ids, { interval = 1, unit = 'hour', start, end, concurrency = 6, wide = false, signal } = {}) {
+    const results = await _pool(ids, concurrency, id =>
+      get(`/timeseries/rollup/${interval}/${unit}`, { id, start, end }, { signal })
+    );
+
+    const rows   = [];
+    const errors = [];
+    results.forEach((r, i) => {
+      if (r.ok) (r.value ?? []).forEach(row => rows.push({ pointId: ids[i], ...row }));
+      else      errors.push({ pointId: ids[i], error: r.error });
     });
-    if (!res.ok) {
-      const msg = await res.text().catch(() => '');
-      throw new Error(`Edo API ${res.status} ${path}${msg ? ': ' + msg.slice(0, 200) : ''}`);
+
+    const out = { rows, errors };
+    if (wide) {
+      const byTs = new Map();
+      rows.forEach(({ pointId, ts, value }) => {
+        if (!byTs.has(ts)) byTs.set(ts, Object.fromEntries([['ts', ts], ...ids.map(id => [id, null])]));
+        byTs.get(ts)[pointId] = value;
+      });
+      out.table = [...byTs.values()].sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
     }
-    return res.json();
+    return out;
+  }
+
+  // ── Live subscriptions ──────────────────────────────────────────────────────
+  // All subscriptions share one poll loop: each tick asks /timeseries/latest
+  // for the union of the due subscriptions' points in one call (bypassing the
+  // response cache), then hands every subscriber only the points that moved.
+
+  const SUBSCRIBE_MIN_INTERVAL = 1_000;
+  const SUBSCRIBE_MAX_BACKOFF  = 5 * 60_000;
+  const SUBSCRIBE_BATCH        = 200;   // point IDs per request, to keep URLs short
+
+  const _subs = new Set();
+  let _subTimer    = null;
+  let _subPolling  = false;
+  let _subFailures = 0;
+
+  /**
+   * Live values without hand-written setIntervals. Polls /timeseries/latest
+   * every `intervalMs` and calls `callback` only when a point's `value` or
+   * `latest_ts` changes (the first poll reports every point). Subscriptions
+   * share one batched request per tick, pause while the tab is hidden, and
+   * back off exponentially while requests fail.
+   *
+   *   const stop = edo.subscribe([101, 102], (changes) => changes.forEach(render), { intervalMs: 15_000 });
+   *
+   * @param {number[]} pointIds
+   * @param {(changes: Array<{ id, value, latest_ts, previous }>, current: Object<number, { value, latest_ts }>) => void} callback
+   * @param {Object} [opts]
+   * @param {number} [opts.intervalMs=30000]   at least 1000
+   * @param {(error: EdoError) => void} [opts.onError]   also reported through edo.on('error')
+   * @returns {() => void} unsubscribe
+   */
+  function subscribe(pointIds, callback, { intervalMs = 30_000, onError } = {}) {
+    if (typeof callback !== 'function') throw new TypeError('edo.subscribe: callback must be a function');
+    const sub = {
+      ids:        [...new Set([].concat(pointIds).map(Number))],
+      callback,
+      onError,
+      intervalMs: Math.max(Number(intervalMs) || 0, SUBSCRIBE_MIN_INTERVAL),
+      due:        0,
+      seen:       new Map(),
+    };
+    _subs.add(sub);
+    _schedulePoll(0);
+    return () => {
+      _subs.delete(sub);
+      if (!_subs.size) _schedulePoll();
+    };
   }
 
-  return { ready, get };
+  // No delay = just stop; nothing polls while hidden or with no subscribers
+  function _schedulePoll(delay) {
+    clearTimeout(_subTimer);
+    _subTimer = null;
+    if (delay === undefined || !_subs.size || document.hidden) return;
+    _subTimer = setTimeout(_poll, delay);
+  }
+
+  async function _latest(ids) {
+    const chunks = [];
+    for (let i = 0; i < ids.length; i += SUBSCRIBE_BATCH) chunks.push(ids.slice(i, i + SUBSCRIBE_BATCH));
+    const pages = await Promise.all(chunks.map(id => _fetchJSON(
+      { method: 'GET', url: _buildUrl('/timeseries/latest', { id }), path: '/timeseries/latest', params: { id } }, {}
+    )));
+    return pages.flatMap(rows => (Array.isArray(rows) ? rows : _pageRows(rows).rows));
+  }
+
+  async function _poll() {
+    _subTimer = null;
+    if (_subPolling) return;   // the running poll reschedules when it finishes
+    _subPolling = true;
+    try {
+      await _ready;
+      const due = [..._subs].filter(s => s.due <= Date.now());
+      const ids = [...new Set(due.flatMap(s => s.ids))];
+      if (ids.length) {
+        try {
+          const byId = new Map((await _latest(ids)).map(r => [Number(r.id), r]));
+          _subFailures = 0;
+          due.forEach(s => _deliver(s, byId));
+        } catch (error) {
+          _subFailures++;
+          for (const s of due) {
+            s.due = Date.now() + Math.min(s.intervalMs * 2 ** _subFailures, SUBSCRIBE_MAX_BACKOFF);
+            try { s.onError?.(error); } catch (err) { console.error('[edo] subscribe onError threw:', err); }
+          }
+        }
+      }
+      due.filter(s => !s.ids.length).forEach(s => { s.due = Date.now() + s.intervalMs; });
+    } finally {
+      _subPolling = false;
+    }
+    if (_subs.size) _schedulePoll(Math.max(0, Math.min(...[..._subs].map(s => s.due)) - Date.now()));
+  }
+
+  function _deliver(sub, byId) {
+    sub.due = Date.now() + sub.intervalMs;
+    if (!_subs.has(sub)) return;   // unsubscribed while the request was in flight
+    const changes = [];
+    for (const id of sub.ids) {
+      const row  = byId.get(id);
+      const prev = sub.seen.get(id);
+      if (!row || (prev && prev.value === row.value && prev.latest_ts === row.latest_ts)) continue;
+      changes.push({ id, value: row.value, latest_ts: row.latest_ts, previous: prev?.value });
+      sub.seen.set(id, { value: row.value, latest_ts: row.latest_ts });
+    }
+    if (!changes.length) return;
+    try { sub.callback(changes, Object.fromEntries(sub.seen)); }
+    catch (err) { console.error('[edo] subscribe callback threw:', err); }
+  }
+
+  document.addEventListener('visibilitychange', () => _schedulePoll(document.hidden ? undefined : 0));
+
+  // ── Building model ──────────────────────────────────────────────────────────
+  // edo.model joins the listings into a navigable graph so nobody has to
+  // hand-join equipment, point and point class IDs again. It reads the Lab
+  // routes, which the Lab server serves in production and dev-proxy.js maps
+  // onto the raw API locally. Equipment and point classes load with the
+  // building; points load on first use (per equipment, or the whole building
+  // via pagination). Everything is kept until edo.model.clear(). Accepts raw
+  // and Lab-normalized field names.
+
+  const _models = new Map();   // buildingId → Promise<building>
+  let _sitesList     = null;   // Promise<site[]>
+  let _pointClassList = null;  // Promise<pointClass[]>, shared by all buildings
+
+  // Numbers match the ID; strings match the ID or any name, ignoring case; RegExps test the names
+  function _refMatches(ref, id, names) {
+    if (ref instanceof RegExp) return names.some(n => n != null && ref.test(n));
+    if (typeof ref === 'number') return id === ref;
+    const want = String(ref).trim().toLowerCase();
+    return String(id) === want || names.some(n => n != null && String(n).toLowerCase() === want);
+  }
+
+  const _anyRef = (ref, test) => ref === undefined || [].concat(ref).some(test);
+
+  // Cached promise that forgets itself on failure, so the next call retries
+  function _memo(load, forget) {
+    return load().catch((err) => { forget(); throw err; });
+  }
+
+  function _pointClasses() {
+    _pointClassList ??= _memo(
+      async () => _pageRows(await get('/point-classes')).rows.map(c => ({
+        id: c.value ?? c.id, name: c.text ?? c.name ?? null, description: c.description ?? null, raw: c,
+      })),
+      () => { _pointClassList = null; }
+    );
+    return _pointClassList;
+  }
+
+  /**
+   * Sites visible to the user, each with a lazy `buildings()`.
+   * @returns {Promise<Array<{ id, name, raw, buildings: () => Promise<Array<{ id, name, address, site, raw, model }>> }>>}
+   */
+  function sites() {
+    _sitesList ??= _memo(async () => _pageRows(await get('/buildings')).rows.map((raw) => {
+      const site = { id: raw.ID ?? raw.id, name: raw.Name ?? raw.name ?? null, raw };
+      let list = null;
+      site.buildings = () => (list ??= _memo(
+        async () => _pageRows(await get(`/buildings/sites/${site.id}`)).rows.map((b) => {
+          const info = { id: b.id ?? b.ID, name: b.name ?? b.Name ?? null, address: b.address ?? null, site, raw: b };
+          info.model = () => building(info.id, info);
+          return info;
+        }),
+        () => { list = null; }
+      ));
+      return site;
+    }), () => { _sitesList = null; });
+    return _sitesList;
+  }
+
+  /**
+   * The equipment / point / point class graph of one building.
+   *
+   *   const b    = await edo.model.building(42);
+   *   const sats = await b.equipment('AHU-2').points({ class: 'Supply Air Temp' });
+   *   sats[0].pointClass.name, sats[0].equipment.abbreviation
+   *
+   * Lookups (`equipment(ref)`, `pointClass(ref)`, `point(ref)` and the
+   * `class` / `equipment` / `name` filters of `points()`) take an ID, a
+   * case-insensitive abbreviation / name / class text, or a RegExp; filters
+   * also take an array of those, matching any.
+   *
+   * @param {number} id
+   * @returns {Promise<{
+   *   id, name, address, site,
+   *   equipment:    (ref?) => Array<equipment> | equipment | null,
+   *   pointClasses: () => Array<{ id, name, description, raw }>,
+   *   pointClass:   (ref) => { id, name, description, raw } | null,
+   *   points:       (filter?: { class?, equipment?, name? }) => Promise<Array<point>>,
+   *   point:        (ref) => Promise<point | null>,
+   * }>}  equipment: { id, name, abbreviation, raw, building, points(filter?) };
+   *      point: { id, name, pointClassId, equipmentId, raw, pointClass, equipment }
+   */
+  function building(id, info) {
+    id = Number(id);
+    if (!_models.has(id)) _models.set(id, _memo(() => _loadBuilding(id, info), () => _models.delete(id)));
+    return _models.get(id);
+  }
+
+  async function _loadBuilding(id, info) {
+    const [classes, equipmentRows] = await Promise.all([_pointClasses(), getAll(`/buildings/${id}/equipment`)]);
+    const classById = new Map(classes.map(c => [c.id, c]));
+    const equipById = new Map();
+    const pointById = new Map();
+    const equipPoints = new Map();   // equipmentId → Promise<point[]>
+    let   allPoints   = null;        // Promise<point[]> once the whole building was asked for
+
+    function toPoint(raw) {
+      const pid = raw.ID ?? raw.id;
+      if (pointById.has(pid)) return pointById.get(pid);
+      const point = {
+        id:           pid,
+        name:         raw.FormatName ?? raw.name ?? null,
+        pointClassId: raw.PointClassID ?? raw.pointClassId ?? null,
+        equipmentId:  raw.EquipmentID ?? raw.equipmentId ?? null,
+        raw,
+      };
+      Object.defineProperties(point, {
+        pointClass: { get: () => classById.get(point.pointClassId) ?? null },
+        equipment:  { get: () => equipById.get(point.equipmentId) ?? null },
+      });
+      pointById.set(pid, point);
+      return point;
+    }
+
+    function filterPoints(points, { class: cls, equipment: eq, name } = {}) {
+      [].concat(cls ?? []).forEach((ref) => {
+        if (typeof ref === 'string' && !classes.some(c => _refMatches(ref, c.id, [c.name]))) {
+          console.warn(`[edo] model: no point class matches "${ref}"`);
+        }
+      });
+      return points.filter(p =>
+        _anyRef(cls,  r => _refMatches(r, p.pointClassId, [p.pointClass?.name])) &&
+        _anyRef(eq,   r => p.equipment !== null && _refMatches(r, p.equipmentId, [p.equipment.abbreviation, p.equipment.name])) &&
+        _anyRef(name, r => _refMatches(r, p.id, [p.name]))
+      );
+    }
+
+    const model = {
+      id,
+      name:    info?.name ?? null,
+      address: info?.address ?? null,
+      site:    info?.site ?? null,
+
+      /** All equipment, or the one matching `ref` (null when nothing does). */
+      equipment(ref) {
+        const list = [...equipById.values()];
+        return ref === undefined ? list : list.find(e => _refMatches(ref, e.id, [e.abbreviation, e.name])) ?? null;
+      },
+
+      pointClasses: () => [...classes],
+      pointClass:   ref => classes.find(c => _refMatches(ref, c.id, [c.name])) ?? null,
+
+      /** Every point of the building (loaded once, all pages), optionally filtered. */
+      points(filter) {
+        allPoints ??= _memo(
+          async () => (await getAll(`/buildings/${id}/points`)).map(toPoint),
+          () => { allPoints = null; }
+        );
+        return allPoints.then(points => filterPoints(points, filter));
+      },
+
+      async point(ref) {
+        return (await model.points()).find(p => _refMatches(ref, p.id, [p.name])) ?? null;
+      },
+    };
+
+    for (const raw of equipmentRows) {
+      const equip = {
+        id:           raw.id ?? raw.ID,
+        name:         raw.name ?? raw.Name ?? null,
+        abbreviation: raw.abbreviation ?? null,
+        raw,
+        building:     model,
+        // Reuses the building's points when they are loaded; otherwise asks for this equipment's only (all pages)
+        points(filter) {
+          const own = allPoints
+            ? allPoints.then(points => points.filter(p => p.equipmentId === equip.id))
+            : equipPoints.get(equip.id) ?? equipPoints.set(equip.id, _memo(
+                async () => (await getAll(`/equipment/${equip.id}/points`)).map(toPoint),
+                () => equipPoints.delete(equip.id)
+              )).get(equip.id);
+          return own.then(points => filterPoints(points, filter));
+        },
+      };
+      equipById.set(equip.id, equip);
+    }
+    return model;
+  }
+
+  /** Forget every loaded site, building and point class. */
+  function clearModel() {
+    _models.clear();
+    _sitesList      = null;
+    _pointClassList = null;
+  }
+
+  // ── Utility bills ───────────────────────────────────────────────────────────
+  // Raw bill routes: /bill/account?b=, /bill/account/:id/meter and
+  // /bill/account/:id/bill or /bill/meter/:id/bill (?start&end). Bills print
+  // inclusive service dates; normalized bills use half-open UTC periods
+  // [start, end) so they can go straight into /timeseries/stat.
+
+  const DAY_MS = 86_400_000;
+
+  const _num = v => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+  function _billAccount(raw) {
+    return {
+      id:            raw.ID ?? raw.id,
+      accountNumber: raw.AccountNumber ?? raw.accountNumber ?? null,
+      utility:       raw.Utility ?? raw.utility ?? null,
+      commodity:     raw.Commodity ?? raw.commodity ?? null,
+      buildingId:    raw.BuildingID ?? raw.buildingId ?? null,
+      raw,
+    };
+  }
+
+  function _billMeter(raw) {
+    return {
+      id:          raw.ID ?? raw.id,
+      meterNumber: raw.MeterNumber ?? raw.meterNumber ?? null,
+      commodity:   raw.Commodity ?? raw.commodity ?? null,
+      unit:        raw.Unit ?? raw.unit ?? null,
+      accountId:   raw.AccountID ?? raw.accountId ?? null,
+      raw,
+    };
+  }
+
+  /**
+   * One bill in a fixed shape, from raw (`StartDate`, `Usage`, …) or
+   * Lab-normalized (`startDate`, `usage`, …) fields. `end` is exclusive: the
+   * day after the last service date printed on the bill.
+   *
+   * @returns {{ id, meterId, accountId, start: string, end: string, days: number,
+   *             usage, usageUnit, cost, currency, demand, demandUnit, costPerUnit, raw }}
+   */
+  function normalizeBill(raw) {
+    const day   = v => Date.parse(`${String(v).slice(0, 10)}T00:00:00Z`);
+    const start = day(raw.StartDate ?? raw.startDate);
+    const end   = day(raw.EndDate ?? raw.endDate) + DAY_MS;
+    const usage = _num(raw.Usage ?? raw.usage);
+    const cost  = _num(raw.Cost ?? raw.cost);
+    return {
+      id:          raw.ID ?? raw.id,
+      meterId:     raw.MeterID ?? raw.meterId ?? null,
+      accountId:   raw.AccountID ?? raw.accountId ?? null,
+      start:       Number.isFinite(start) ? new Date(start).toISOString() : null,
+      end:         Number.isFinite(end) ? new Date(end).toISOString() : null,
+      days:        Number.isFinite(end - start) ? Math.round((end - start) / DAY_MS) : null,
+      usage,
+      usageUnit:   raw.UsageUnit ?? raw.usageUnit ?? null,
+      cost,
+      currency:    raw.Currency ?? raw.currency ?? null,
+      demand:      _num(raw.Demand ?? raw.demand),
+      demandUnit:  raw.DemandUnit ?? raw.demandUnit ?? null,
+      costPerUnit: usage && cost !== null ? cost / usage : null,
+      raw,
+    };
+  }
+
+  /** Utility accounts of a building: { id, accountNumber, utility, commodity, buildingId, raw }. */
+  async function billAccounts(buildingId, opts) {
+    return _pageRows(await get('/bill/account', { b: buildingId }, opts)).rows.map(_billAccount);
+  }
+
+  /** Meters on an account: { id, meterNumber, commodity, unit, accountId, raw }. */
+  async function billMeters(accountId, opts) {
+    return _pageRows(await get(`/bill/account/${accountId}/meter`, {}, opts)).rows.map(_billMeter);
+  }
+
+  /**
+   * Normalized bills overlapping [start, end), sorted by period. Give exactly
+   * one of buildingId (every account, optionally one commodity), accountId or
+   * meterId.
+   *
+   *   const bills = await edo.bills.list({ buildingId: 42, commodity: 'electric', start: '2025-01-01' });
+   *
+   * @param {Object} q
+   * @param {number} [q.buildingId]
+   * @param {number} [q.accountId]
+   * @param {number} [q.meterId]
+   * @param {string} [q.commodity]   with buildingId: 'electric', 'gas', …
+   * @param {string} [q.start]       ISO-8601; the API defaults to the last 12 months
+   * @param {string} [q.end]
+   * @param {AbortSignal} [q.signal]
+   * @returns {Promise<Array>} see normalizeBill()
+   */
+  async function listBills({ buildingId, accountId, meterId, commodity, start, end, signal } = {}) {
+    if ([buildingId, accountId, meterId].filter(v => v !== undefined).length !== 1) {
+      throw new TypeError('edo.bills.list: pass exactly one of buildingId, accountId or meterId');
+    }
+    const range = { start, end };
+    let raw;
+    if (meterId !== undefined) {
+      raw = _pageRows(await get(`/bill/meter/${meterId}/bill`, range, { signal })).rows;
+    } else if (accountId !== undefined) {
+      raw = _pageRows(await get(`/bill/account/${accountId}/bill`, range, { signal })).rows;
+    } else {
+      const accounts = (await billAccounts(buildingId, { signal }))
+        .filter(a => !commodity || String(a.commodity).toLowerCase() === commodity.toLowerCase());
+      const results = await _pool(accounts, 4, a => get(`/bill/account/${a.id}/bill`, range, { signal }));
+      const failed  = results.find(r => !r.ok);
+      if (failed) throw failed.error;
+      raw = results.flatMap(r => _pageRows(r.value).rows);
+    }
+    return raw.map(normalizeBill).sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : (a.meterId ?? 0) - (b.meterId ?? 0)));
+  }
+
+  /**
+   * Combine bills that share a billing period and usage unit (e.g. several
+   * meters read on the same day): usage and cost are summed, demand is the
+   * highest of the meters'.
+   *
+   * @param {Array} bills   from list()
+   * @returns {Array<{ start, end, days, usage, usageUnit, cost, currency, demand, demandUnit, bills }>}
+   */
+  function billPeriods(bills) {
+    const byKey = new Map();
+    for (const b of bills) {
+      const key = `${b.start}|${b.end}|${b.usageUnit}`;
+      if (!byKey.has(key)) {
+        byKey.set(key, {
+          start: b.start, end: b.end, days: b.days, usage: null, usageUnit: b.usageUnit,
+          cost: null, currency: b.currency, demand: null, demandUnit: b.demandUnit, bills: [],
+        });
+      }
+      const p = byKey.get(key);
+      if (b.usage !== null)  p.usage  = (p.usage ?? 0) + b.usage;
+      if (b.cost !== null)   p.cost   = (p.cost ?? 0) + b.cost;
+      if (b.demand !== null) p.demand = Math.max(p.demand ?? -Infinity, b.demand);
+      p.bills.push(b);
+    }
+    return [...byKey.values()].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  }
+
+  /**
+   * Put a point's /timeseries/stat next to each billing period — e.g. a
+   * whole-building kW point against electric bills. `metered` is avg × hours,
+   * i.e. kWh for a kW point.
+   *
+   * @param {Array}  periods   billPeriods() or list() output
+   * @param {number} pointId
+   * @param {Object} [opts]
+   * @param {AbortSignal} [opts.signal]
+   * @returns {Promise<Array<{ …period, stat: { avg, min, max, count }|null, metered: number|null, ratio: number|null, error? }>>}
+   *   ratio = billed usage / metered
+   */
+  async function compareBills(periods, pointId, { signal } = {}) {
+    const results = await _pool(periods, 4, p =>
+      get('/timeseries/stat', { id: [pointId], start: p.start, end: p.end }, { signal })
+    );
+    return periods.map((p, i) => {
+      if (!results[i].ok) return { ...p, stat: null, metered: null, ratio: null, error: results[i].error };
+      const stat    = _pageRows(results[i].value).rows.find(s => Number(s.id) === Number(pointId)) ?? null;
+      const hours   = (Date.parse(p.end) - Date.parse(p.start)) / 3_600_000;
+      const metered = stat?.avg !== null && stat?.avg !== undefined ? stat.avg * hours : null;
+      return { ...p, stat, metered, ratio: metered && p.usage !== null ? p.usage / metered : null };
+    });
+  }
+
+  _ready.then(() => _emit('auth', { type: 'ready', mock: _mock }));
+
+  // Standalone: seed the context from edo-dev-config.js so host-aware code can be exercised
+  if (_standalone) _setContext(window.EDO_DEV_CONFIG?.context);
+  else             _applyTheme(_context.theme);
+
+  return {
+    ready, get, post, put, patch, delete: del, paginate, getAll, configure, on, off,
+    context, onContextChange, navigate, reportError, user, expiresAt, logout, subscribe,
+    EdoError, EdoApiError, EdoAuthError, EdoNetworkError, EdoTimeoutError,
+    timeseries: { rollup },
+    model: { sites, building, clear: clearModel },
+    bills: { accounts: billAccounts, meters: billMeters, list: listBills, periods: billPeriods, compare: compareBills, normalize: normalizeBill },
+    cache: { enable: enableCache, disable: disableCache, invalidate: invalidateCache, stats: cacheStats },
+  };
 })();
@@ -0,0 +1,139 @@
+/**
+ * proxy/cassettes.js — record / replay fixtures for /api/edo/* traffic
+ *
+ * Each exchange is stored as one JSON file ("cassette") keyed by
+ * method + normalized path + sorted query string. Only the request line and
+ * the response status, content-type and body are written — request headers
+ * (and therefore the Authorization token) never touch the disk.
+ *
+ * Used by dev-proxy.js when started with RECORD=1 / --record or
+ * REPLAY=1 / --replay.
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_SCRUB_FIELDS = ['name', 'address'];
+
+// ── Keys ──────────────────────────────────────────────────────────────────────
+
+function normalizePath(pathname) {
+  return ('/' + pathname).replace(/\/{2,}/g, '/').replace(/(.)\/$/, '$1');
+}
+
+const cmp = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+function sortedQuery(query) {
+  return [...query.entries()]
+    .sort(([ak, av], [bk, bv]) => cmp(ak, bk) || cmp(av, bv))
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+    .join('&');
+}
+
+/**
+ * Canonical cassette key — identical requests map to the same key regardless
+ * of query parameter order or stray slashes.
+ */
+function cassetteKey(method, pathname, query) {
+  const qs = sortedQuery(query);
+  return `${method.toUpperCase()} ${normalizePath(pathname)}${qs ? '?' + qs : ''}`;
+}
+
+// Readable file name + short hash of the full key (keeps sanitized names unique)
+function fileNameFor(key) {
+  const [method, target] = key.split(' ');
+  const readable = target.split('?')[0].replace(/[^A-Za-z0-9-]+/g, '_').replace(/^_|_$/g, '').slice(0, 80);
+  const hash     = crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+  return `${method}__${readable || 'root'}__${hash}.json`;
+}
+
+// ── Scrubbing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Replace identifying string fields with stable pseudonyms. The same input
+ * value always maps to the same pseudonym, so joins across cassettes still
+ * line up after scrubbing.
+ */
+function scrub(value, fields) {
+  if (Array.isArray(value)) return value.map(v => scrub(v, fields));
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (fields.has(k.toLowerCase()) && typeof v === 'string' && v) {
+      out[k] = `${k} ${crypto.createHash('sha1').update(v).digest('hex').slice(0, 6)}`;
+    } else {
+      out[k] = scrub(v, fields);
+    }
+  }
+  return out;
+}
+
+// ── Public factory ────────────────────────────────────────────────────────────
+
+/**
+ * @param {Object}   opts
+ * @param {string}   opts.dir             fixtures directory (created on first save)
+ * @param {string[]} [opts.scrubFields]   field names to pseudonymize on save; omit to store bodies verbatim
+ */
+function createCassettes({ dir, scrubFields }) {
+  const scrubSet = scrubFields ? new Set(scrubFields.map(f => f.toLowerCase())) : null;
+
+  function fileFor(method, pathname, query) {
+    const key = cassetteKey(method, pathname, query);
+    return { key, file: path.join(dir, fileNameFor(key)) };
+  }
+
+  /**
+   * Write one exchange to disk. `body` is the raw response Buffer/string;
+   * JSON bodies are stored parsed (and scrubbed) so fixtures diff cleanly.
+   */
+  function save(method, pathname, query, { status, contentType, body }) {
+    const { key, file } = fileFor(method, pathname, query);
+    const text = Buffer.isBuffer(body) ? body.toString('utf8') : String(body ?? '');
+
+    let json;
+    if (/json/i.test(contentType ?? '')) {
+      try { json = JSON.parse(text); } catch { /* store as text */ }
+    }
+    if (json !== undefined && scrubSet) json = scrub(json, scrubSet);
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      key,
+      recordedAt: new Date().toISOString(),
+      response: {
+        status,
+        contentType: contentType ?? 'application/json',
+        ...(json !== undefined ? { json } : { text }),
+      },
+    }, null, 2) + '\n');
+    return file;
+  }
+
+  /**
+   * Look up a recorded exchange.
+   * @returns {{ status: number, contentType: string, body: string } | { miss: true, key: string, file: string }}
+   */
+  function load(method, pathname, query) {
+    const { key, file } = fileFor(method, pathname, query);
+    let cassette;
+    try {
+      cassette = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return { miss: true, key, file };
+    }
+    const r = cassette.response;
+    return {
+      status:      r.status,
+      contentType: r.contentType,
+      body:        'json' in r ? JSON.stringify(r.json) : r.text,
+    };
+  }
+
+  return { dir, save, load };
+}
+
+module.exports = { createCassettes, cassetteKey, DEFAULT_SCRUB_FIELDS };
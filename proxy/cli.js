@@ -0,0 +1,291 @@
+/**
+ * proxy/cli.js — command-line subcommands of dev-proxy.js
+ *
+ *   node dev-proxy.js login                 authorize the active profile (PKCE, in the browser)
+ *   node dev-proxy.js logout                forget the active profile's cached token
+ *   node dev-proxy.js status                profile, API base, token expiry, signed-in user
+ *   node dev-proxy.js call <path> [--param k=v …] [--format json|table|csv] [--all-pages] [--page-size N]
+ *
+ * All commands honour --profile / EDO_PROFILE, --mock and --replay. `call`
+ * goes through the same Lab-route, mock and replay layers as the proxy, so
+ * `call /buildings` and `call /point/site` both work. Data goes to stdout,
+ * everything else to stderr, so output can be piped.
+ */
+
+'use strict';
+
+const fs            = require('fs');
+const { spawn }     = require('child_process');
+
+const COMMANDS        = ['login', 'logout', 'status', 'call'];
+const LOGIN_TIMEOUT   = 5 * 60_000;
+const MAX_CELL_WIDTH  = 40;
+
+// ── Argument parsing ──────────────────────────────────────────────────────────
+
+/** The subcommand, if argv[2] names one; otherwise the proxy starts as usual. */
+function cliCommand(argv) {
+  return COMMANDS.includes(argv[2]) ? argv[2] : null;
+}
+
+// Switches that never take a value (including the proxy's own mode flags)
+const BOOLEAN_FLAGS = ['all-pages', 'mock', 'replay', 'record', 'scrub'];
+
+// --name value | --name=value; repeatable options collect into arrays
+function parseArgs(args, { repeat = [], alias = {} } = {}) {
+  const out = { _: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('-')) { out._.push(arg); continue; }
+    let [name, value] = arg.replace(/^-+/, '').split(/=(.*)/s);
+    name = alias[name] ?? name;
+    if (value === undefined && BOOLEAN_FLAGS.includes(name)) {
+      value = true;
+    } else if (value === undefined) {
+      const next = args[i + 1];
+      value = next !== undefined && !next.startsWith('-') ? (i++, next) : true;
+    }
+    if (repeat.includes(name)) (out[name] ??= []).push(value);
+    else out[name] = value;
+  }
+  return out;
+}
+
+// ── Output formats ────────────────────────────────────────────────────────────
+
+// Same envelope handling as edo.js paginate(): bare arrays or { data|items|results, total }
+function pageRows(body) {
+  if (Array.isArray(body)) return { rows: body, total: null };
+  const rows  = body?.data ?? body?.items ?? body?.results ?? [];
+  const total = body?.total ?? body?.totalCount ?? body?.TotalCount ?? null;
+  return { rows: Array.isArray(rows) ? rows : [], total };
+}
+
+function asRows(body) {
+  if (Array.isArray(body)) return body;
+  const { rows } = pageRows(body);
+  return rows.length ? rows : [body];
+}
+
+function columnsOf(rows) {
+  const cols = new Set();
+  for (const row of rows.slice(0, 200)) {
+    if (row && typeof row === 'object') Object.keys(row).forEach(k => cols.add(k));
+  }
+  return cols.size ? [...cols] : ['value'];
+}
+
+function cell(row, col) {
+  const v = row && typeof row === 'object' ? row[col] : row;
+  if (v === null || v === undefined) return '';
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+
+function formatTable(body) {
+  const rows = asRows(body);
+  const cols = columnsOf(rows);
+  const clip = s => (s.length > MAX_CELL_WIDTH ? s.slice(0, MAX_CELL_WIDTH - 1) + '…' : s);
+  const grid = rows.map(r => cols.map(c => clip(cell(r, c))));
+  const widths = cols.map((c, i) => Math.max(c.length, ...grid.map(g => g[i].length)));
+  const line = cells => cells.map((s, i) => s.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(cols), line(widths.map(w => '─'.repeat(w))), ...grid.map(line)].join('\n') +
+    `\n(${rows.length} row${rows.length === 1 ? '' : 's'})`;
+}
+
+function formatCSV(body) {
+  const rows  = asRows(body);
+  const cols  = columnsOf(rows);
+  const quote = s => (/[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+  return [cols.map(quote).join(','), ...rows.map(r => cols.map(c => quote(cell(r, c))).join(','))].join('\n');
+}
+
+const FORMATS = {
+  json:  body => JSON.stringify(body, null, 2),
+  table: formatTable,
+  csv:   formatCSV,
+};
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+function describeToken(s) {
+  if (!s.token) return 'none';
+  const mins = Math.round((s.expiry - Date.now()) / 60_000);
+  const at   = new Date(s.expiry).toLocaleTimeString();
+  return mins > 1 ? `valid until ${at} (${mins} min left)` : `expired at ${at}`;
+}
+
+// Display-only: the proxy never verifies tokens, it just forwards them
+function tokenClaims(token) {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function openBrowser(url) {
+  const [cmd, args] =
+    process.platform === 'darwin' ? ['open', [url]] :
+    process.platform === 'win32'  ? ['cmd', ['/c', 'start', '""', url]]
+                                  : ['xdg-open', [url]];
+  try {
+    spawn(cmd, args, { stdio: 'ignore', detached: true }).on('error', () => {}).unref();
+  } catch { /* the URL is printed as well */ }
+}
+
+async function login(ctx) {
+  const profile = ctx.profile();
+  if (profile.mock) {
+    console.error(`Profile "${profile.name}" serves mock data — no login needed.`);
+    return 0;
+  }
+
+  // Use our own server for the callback, or a proxy that is already running
+  let ownServer = true;
+  try {
+    await ctx.listen();
+  } catch (err) {
+    if (err.code !== 'EADDRINUSE') throw err;
+    ownServer = false;
+    console.error(`A dev proxy is already running on port ${ctx.port} — authorizing through it.`);
+    console.error('Make sure it is on the same profile, or switch it first with POST /__env.');
+  }
+
+  const before = ctx.session().token;
+  const url    = `http://localhost:${ctx.port}/oauth/start`;
+  console.error(`Opening ${url} — finish signing in in the browser…`);
+  openBrowser(url);
+
+  const deadline = Date.now() + LOGIN_TIMEOUT;
+  try {
+    while (Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, 1000));
+      const s = ownServer ? ctx.session() : ctx.reloadSession();
+      if (s.token && s.token !== before && ctx.tokenValid()) {
+        const claims = tokenClaims(s.token);
+        console.error(`Logged in to ${profile.name}` +
+          (claims?.name ? ` as ${claims.name}` : '') + ` — token ${describeToken(s)}.`);
+        return 0;
+      }
+    }
+    console.error('Timed out waiting for authorization.');
+    return 1;
+  } finally {
+    if (ownServer) ctx.close();
+  }
+}
+
+function logout(ctx) {
+  const profile = ctx.profile();
+  const removed = ctx.forgetToken();
+  console.error(removed.length
+    ? `Logged out of ${profile.name} — removed ${removed.join(', ')}.`
+    : `No cached token for ${profile.name}.`);
+  return 0;
+}
+
+function status(ctx) {
+  const profile = ctx.profile();
+  const s       = ctx.session();
+  const claims  = s.token ? tokenClaims(s.token) : null;
+  const user    = claims && (claims.name ?? claims.emails?.[0] ?? claims.email ?? claims.sub);
+  const lines   = [
+    ['Profile', `${profile.name} (${profile.label})`],
+    ['API',     ctx.replay ? 'replaying fixtures — no upstream calls' : profile.mock ? 'mock data' : profile.apiBase],
+  ];
+  if (!profile.mock) {
+    lines.push(
+      ['Token',   describeToken(s)],
+      ['Refresh', s.refreshToken ? 'yes — renewed automatically while the proxy runs' : 'no'],
+      ['User',    user ?? '—'],
+      ['Cache',   fs.existsSync(ctx.cacheFile()) ? ctx.cacheFile() : '—'],
+    );
+  }
+  process.stdout.write(lines.map(([k, v]) => `${(k + ':').padEnd(9)} ${v}`).join('\n') + '\n');
+  return 0;
+}
+
+async function call(ctx, args) {
+  const opts   = parseArgs(args, { repeat: ['param'], alias: { p: 'param', f: 'format' } });
+  const format = opts.format ?? 'json';
+  const target = opts._[0];
+  const badSize = opts['page-size'] !== undefined && !/^[1-9]\d*$/.test(String(opts['page-size']));
+
+  if (!target || !FORMATS[format] || badSize) {
+    if (badSize) console.error(`--page-size must be a positive integer, got "${opts['page-size']}"`);
+    console.error('Usage: node dev-proxy.js call <path> [--param k=v …] [--format json|table|csv] [--all-pages] [--page-size N]');
+    return 2;
+  }
+
+  const [pathPart, search = ''] = target.replace(/^\/api\/edo(?=\/)/, '').split(/\?(.*)/s);
+  const forwardPath = pathPart.startsWith('/') ? pathPart : `/${pathPart}`;
+  const query       = new URLSearchParams(search);
+  for (const kv of opts.param ?? []) {
+    const [k, v = ''] = String(kv).split(/=(.*)/s);
+    query.append(k, v);
+  }
+
+  if (!ctx.offline() && !ctx.tokenValid()) await ctx.refreshAccessToken();
+  if (!ctx.offline() && !ctx.tokenValid()) {
+    console.error(`Not logged in to ${ctx.profile().name} — run: node dev-proxy.js login`);
+    return 1;
+  }
+  const authorization = ctx.offline() ? undefined : `Bearer ${ctx.session().token}`;
+
+  let body;
+  if (opts['all-pages']) {
+    const pageSize = Number(opts['page-size'] ?? query.get('pageSize') ?? 500);
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      console.error(`pageSize must be a positive integer, got "${query.get('pageSize')}"`);
+      return 2;
+    }
+    body = [];
+    let served = 0;      // the server's page size, which may be capped below pageSize
+    let first  = null;   // first row of the previous page, to spot a listing that ignores pageNumber
+    for (let page = 1; ; page++) {
+      query.set('pageSize', pageSize);
+      query.set('pageNumber', page);
+      const r = await ctx.get(forwardPath, query, authorization);
+      if (r.status >= 400) return fail(r);
+      const { rows, total } = pageRows(r.body);
+      if (!rows.length || JSON.stringify(rows[0]) === first) break;
+      first  = JSON.stringify(rows[0]);
+      served = Math.max(served, rows.length);
+      body.push(...rows);
+      console.error(`page ${page}: ${rows.length} rows (${body.length}${total !== null ? ` of ${total}` : ''})`);
+      if (rows.length < served || (total !== null && body.length >= total)) break;
+    }
+  } else {
+    const r = await ctx.get(forwardPath, query, authorization);
+    if (r.status >= 400) return fail(r);
+    body = r.body;
+  }
+
+  process.stdout.write(FORMATS[format](body) + '\n');
+  return 0;
+}
+
+function fail({ status, body }) {
+  console.error(`HTTP ${status}`);
+  console.error(typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+  return 1;
+}
+
+// ── Entry point ───────────────────────────────────────────────────────────────
+
+/**
+ * Run one subcommand. `ctx` is supplied by dev-proxy.js and exposes its
+ * profile, token cache, server and API plumbing.
+ * @returns {Promise<number>} process exit code
+ */
+async function runCli(command, args, ctx) {
+  switch (command) {
+    case 'login':  return login(ctx);
+    case 'logout': return logout(ctx);
+    case 'status': return status(ctx);
+    case 'call':   return call(ctx, args);
+  }
+  return 2;
+}
+
+module.exports = { cliCommand, runCli };
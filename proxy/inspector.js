@@ -0,0 +1,211 @@
+/**
+ * proxy/inspector.js — recent /api/edo/* exchanges for debugging
+ *
+ * Keeps a ring buffer of what the browser asked for, what the proxy sent
+ * upstream (one call, several for fan-out Lab routes, none for mock/replay)
+ * and what came back. dev-proxy.js serves it at /__inspector and exports it
+ * as HAR at /__inspector/har. Authorization and Cookie headers are redacted
+ * before anything is stored; bodies are kept up to BODY_LIMIT bytes.
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+
+const BODY_LIMIT      = 64 * 1024;
+const REDACTED        = '[redacted]';
+const REDACT_HEADERS  = new Set(['authorization', 'cookie', 'x-edo-dev-session']);
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function redactHeaders(headers) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers ?? {})) {
+    if (v === undefined) continue;
+    out[k.toLowerCase()] = REDACT_HEADERS.has(k.toLowerCase()) ? REDACTED : String(v);
+  }
+  return out;
+}
+
+// Collect up to BODY_LIMIT bytes; `size` keeps counting past the limit
+function bodySink() {
+  const chunks = [];
+  let kept = 0;
+  const sink = {
+    size: 0,
+    push(chunk) {
+      if (chunk == null) return;
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      sink.size += buf.length;
+      if (kept < BODY_LIMIT) {
+        chunks.push(buf.subarray(0, BODY_LIMIT - kept));
+        kept += Math.min(buf.length, BODY_LIMIT - kept);
+      }
+    },
+    // Compressed pass-through bodies are decoded for display; a truncated
+    // stream still yields whatever decodes cleanly
+    text(encoding) {
+      let buf = Buffer.concat(chunks);
+      const decode = { gzip: zlib.gunzipSync, deflate: zlib.inflateSync, br: zlib.brotliDecompressSync }[encoding];
+      if (decode) {
+        try {
+          const flush = encoding === 'br' ? zlib.constants.BROTLI_OPERATION_FLUSH : zlib.constants.Z_SYNC_FLUSH;
+          buf = decode(buf, { finishFlush: flush }).subarray(0, BODY_LIMIT);
+        } catch {
+          return { text: `[${encoding}-encoded body, ${sink.size} bytes]`, truncated: sink.size > BODY_LIMIT };
+        }
+      }
+      return { text: buf.toString('utf8'), truncated: sink.size > BODY_LIMIT };
+    },
+  };
+  return sink;
+}
+
+// ── Console line ──────────────────────────────────────────────────────────────
+
+const COLOR = process.stdout.isTTY && !process.env.NO_COLOR;
+const paint = (code, s) => (COLOR ? `\x1b[${code}m${s}\x1b[0m` : s);
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} kB` : `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+/** One line per exchange, e.g. "200 GET /buildings  38 ms  1.2 kB  lab · 1 upstream" */
+function logLine(e) {
+  const status = e.status >= 500 ? paint(31, e.status) : e.status >= 400 ? paint(33, e.status) : paint(32, e.status);
+  const ms     = e.durationMs >= 2000 ? paint(33, `${e.durationMs} ms`) : `${e.durationMs} ms`;
+  const via    = e.source === 'upstream' ? '' :
+    `  ${paint(36, e.source)}${e.upstream.length ? ` · ${e.upstream.length} upstream` : ''}`;
+  return `${status} ${paint(1, e.method)} ${e.path}  ${paint(2, ms)}  ${paint(2, formatSize(e.size))}${via}`;
+}
+
+// ── HAR ───────────────────────────────────────────────────────────────────────
+
+function harHeaders(headers) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value }));
+}
+
+function harEntry(e) {
+  // A single upstream call is what actually went over the wire; otherwise
+  // (mock, replay, fan-out) report the local URL the page requested
+  const url = e.upstream.length === 1 ? e.upstream[0].url : e.localUrl;
+  const { searchParams } = new URL(url);
+  return {
+    startedDateTime: new Date(e.startedAt).toISOString(),
+    time:            e.durationMs,
+    request: {
+      method:      e.method,
+      url,
+      httpVersion: 'HTTP/1.1',
+      headers:     harHeaders(e.requestHeaders),
+      queryString: [...searchParams].map(([name, value]) => ({ name, value })),
+      cookies:     [],
+      headersSize: -1,
+      bodySize:    e.requestBody ? Buffer.byteLength(e.requestBody.text) : 0,
+      ...(e.requestBody ? { postData: { mimeType: e.requestHeaders['content-type'] ?? 'application/json', text: e.requestBody.text } } : {}),
+    },
+    response: {
+      status:      e.status,
+      statusText:  '',
+      httpVersion: 'HTTP/1.1',
+      headers:     harHeaders(e.responseHeaders),
+      cookies:     [],
+      content:     {
+        size:     e.size,
+        mimeType: e.responseHeaders['content-type'] ?? 'application/octet-stream',
+        text:     e.responseBody.text,
+        ...(e.responseBody.truncated ? { comment: `truncated to ${BODY_LIMIT} bytes` } : {}),
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize:    e.size,
+    },
+    cache:   {},
+    timings: { send: 0, wait: e.durationMs, receive: 0 },
+    _source:   e.source,
+    _upstream: e.upstream,
+  };
+}
+
+// ── Public factory ────────────────────────────────────────────────────────────
+
+/**
+ * @param {Object}  [opts]
+ * @param {number}  [opts.size=200]   exchanges kept; older ones drop off
+ * @param {boolean} [opts.log=true]   print a line per exchange
+ */
+function createInspector({ size = 200, log = true } = {}) {
+  const entries = [];
+  let nextId = 1;
+
+  /**
+   * Start tracking one request. Returns a trace whose `upstream` array the
+   * caller fills with { method, url, status, durationMs } per upstream call,
+   * and whose `source` it sets ('upstream' | 'cache' | 'lab' | 'mock' | 'replay').
+   * The entry is stored once the response finishes.
+   */
+  function track(req, res, { path: localPath, localUrl }) {
+    const startedAt = Date.now();
+    const reqBody   = bodySink();
+    const resBody   = bodySink();
+    const trace     = { source: 'upstream', upstream: [] };
+
+    req.on('data', c => reqBody.push(c));
+
+    const { write, end } = res;
+    res.write = function (chunk, ...rest) { resBody.push(chunk); return write.call(this, chunk, ...rest); };
+    res.end   = function (chunk, ...rest) {
+      if (chunk && typeof chunk !== 'function') resBody.push(chunk);
+      return end.call(this, chunk, ...rest);
+    };
+
+    // 'close' also fires when the client gives up before the response finishes
+    res.once('close', () => {
+      const entry = {
+        id:              nextId++,
+        startedAt,
+        durationMs:      Date.now() - startedAt,
+        method:          req.method,
+        path:            localPath,
+        localUrl,
+        source:          trace.source,
+        upstream:        trace.upstream,
+        status:          res.statusCode,
+        size:            resBody.size,
+        requestHeaders:  redactHeaders(req.headers),
+        requestBody:     reqBody.size ? reqBody.text() : null,
+        responseHeaders: redactHeaders(res.getHeaders()),
+        responseBody:    resBody.text(res.getHeader('content-encoding')),
+      };
+      entries.push(entry);
+      if (entries.length > size) entries.shift();
+      if (log) console.log(logLine(entry));
+    });
+
+    return trace;
+  }
+
+  /** Stored exchanges, oldest first; `since` returns only newer ids. */
+  function list({ since = 0 } = {}) {
+    return entries.filter(e => e.id > since);
+  }
+
+  function clear() {
+    entries.length = 0;
+  }
+
+  function toHAR() {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'edo-lab dev-proxy', version: '1' },
+        pages:   [],
+        entries: entries.map(harEntry),
+      },
+    };
+  }
+
+  return { track, list, clear, toHAR, size };
+}
+
+module.exports = { createInspector };
@@ -0,0 +1,162 @@
+/**
+ * proxy/lab-routes.js — Lab-server route table for local dev
+ *
+ * In production, projects talk to the Lab server, which exposes friendly
+ * routes (/buildings, /point-classes, …) with normalized camelCase fields.
+ * Locally there is no Lab server, so dev-proxy.js uses this table to map
+ * each Lab route onto the raw Edo API and rename fields the same way —
+ * project code then runs unchanged in both contexts.
+ *
+ * Raw routes (/point/site, /timeseries/rollup/1/hour, …) are not matched here
+ * and keep passing straight through.
+ */
+
+'use strict';
+
+// ── Field normalization ───────────────────────────────────────────────────────
+
+// Rename known raw fields; anything else passes through untouched
+const rename = map => (row) => {
+  const out = {};
+  for (const [k, v] of Object.entries(row ?? {})) out[map[k] ?? k] = v;
+  return out;
+};
+
+const normalize = {
+  site:           rename({ ID: 'id', Name: 'name' }),
+  building:       rename({ ID: 'id', Name: 'name', Address: 'address' }),
+  equipment:      rename({ ID: 'id', Name: 'name', Abbreviation: 'abbreviation' }),
+  equipmentClass: rename({ value: 'id', text: 'name', ID: 'id', Name: 'name' }),
+  point:          rename({ ID: 'id', PointClassID: 'pointClassId', EquipmentID: 'equipmentId', FormatName: 'name' }),
+  pointClass:     rename({ value: 'id', text: 'name' }),
+};
+
+const list = fn => body => (Array.isArray(body) ? body.map(fn) : body);
+
+// Pass upstream errors through as-is; transform only successful bodies
+function mapOk(result, fn) {
+  return result.status >= 400 ? result : { status: result.status, body: fn(result.body) };
+}
+
+// Copy selected query params, renaming as needed: pick(q, { pointClassId: 'pc' })
+function pick(query, map) {
+  const out = new URLSearchParams();
+  for (const [from, to] of Object.entries(map)) {
+    query.getAll(from).forEach(v => out.append(to, v));
+  }
+  return out;
+}
+
+function badRequest(detail) {
+  return { status: 400, body: { error: 'Bad request', detail } };
+}
+
+// Values interpolated into raw upstream paths must be plain numbers, so
+// nothing like %2F or .. can reach another route
+const isId = v => /^[1-9]\d*$/.test(v);
+
+// ── Route table ───────────────────────────────────────────────────────────────
+
+const ROLLUP_CONCURRENCY = 6;
+const ROLLUP_UNITS       = ['minute', 'hour', 'day', 'week'];
+
+// Each handler: (params, query, fetchJSON) → Promise<{ status, body }>
+// fetchJSON(rawPath, URLSearchParams) → Promise<{ status, body }>
+const ROUTES = [
+  ['/buildings', async (p, q, fetchJSON) =>
+    mapOk(await fetchJSON('/point/site', new URLSearchParams()), list(normalize.site))],
+
+  ['/buildings/sites/:siteId', async ({ siteId }, q, fetchJSON) =>
+    mapOk(
+      await fetchJSON(`/point/site/${siteId}/building`, new URLSearchParams()),
+      list(b => ({ ...normalize.building(b), siteId: Number(siteId) })),
+    )],
+
+  ['/buildings/:buildingId/equipment', async ({ buildingId }, q, fetchJSON) =>
+    mapOk(
+      await fetchJSON('/point/equipment', new URLSearchParams([['b', buildingId], ...pick(q, { pageSize: 'pageSize', pageNumber: 'pageNumber' })])),
+      list(e => ({ ...normalize.equipment(e), buildingId: Number(buildingId) })),
+    )],
+
+  ['/buildings/:buildingId/equipment/classes', async ({ buildingId }, q, fetchJSON) =>
+    mapOk(
+      await fetchJSON('/point/equipment/class', new URLSearchParams({ b: buildingId })),
+      list(normalize.equipmentClass),
+    )],
+
+  ['/buildings/:buildingId/points', async ({ buildingId }, q, fetchJSON) =>
+    mapOk(
+      await fetchJSON(`/point/building/${buildingId}/point`,
+        pick(q, { pageSize: 'pageSize', pageNumber: 'pageNumber', pointClassId: 'pc' })),
+      list(normalize.point),
+    )],
+
+  ['/equipment/:equipmentId', async ({ equipmentId }, q, fetchJSON) =>
+    mapOk(await fetchJSON(`/point/equipment/${equipmentId}`, new URLSearchParams()), normalize.equipment)],
+
+  ['/equipment/:equipmentId/points', async ({ equipmentId }, q, fetchJSON) =>
+    mapOk(
+      await fetchJSON(`/point/equipment/${equipmentId}/point`,
+        pick(q, { pageSize: 'pageSize', pageNumber: 'pageNumber', pointClassId: 'pc' })),
+      list(normalize.point),
+    )],
+
+  ['/point-classes', async (p, q, fetchJSON) =>
+    mapOk(await fetchJSON('/point/class', new URLSearchParams()), list(normalize.pointClass))],
+
+  // The raw API only rolls up one point per request and omits the point ID,
+  // so fan out per ID and tag each row with `pointId`.
+  ['/timeseries/rollup', async (p, q, fetchJSON) => {
+    const interval = q.get('interval') ?? '1';
+    const unit     = q.get('unit') ?? 'hour';
+    const ids      = q.getAll('id').flatMap(v => v.split(',')).filter(Boolean);
+    if (!ids.length) return badRequest('At least one ?id= is required');
+    if (!ids.every(isId)) return badRequest('Every ?id= must be a positive integer');
+    if (!isId(interval)) return badRequest('interval must be a positive integer');
+    if (!ROLLUP_UNITS.includes(unit)) return badRequest(`unit must be one of ${ROLLUP_UNITS.join(', ')}`);
+
+    const results = new Array(ids.length);
+    let next = 0;
+    await Promise.all(Array.from({ length: Math.min(ROLLUP_CONCURRENCY, ids.length) }, async () => {
+      while (next < ids.length) {
+        const i = next++;
+        results[i] = await fetchJSON(`/timeseries/rollup/${interval}/${unit}`,
+          new URLSearchParams([['id', ids[i]], ...pick(q, { start: 'start', end: 'end' })]));
+      }
+    }));
+
+    const failed = results.findIndex(r => r.status >= 400);
+    if (failed !== -1) {
+      return { status: results[failed].status, body: { error: 'Rollup failed', pointId: Number(ids[failed]), detail: results[failed].body } };
+    }
+    return {
+      status: 200,
+      body:   results.flatMap((r, i) =>
+        (Array.isArray(r.body) ? r.body : []).map(row => ({ pointId: Number(ids[i]), ...row }))),
+    };
+  }],
+].map(([pattern, handler]) => {
+  const keys = [];
+  const re   = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, k) => { keys.push(k); return '([^/]+)'; }) + '/?$');
+  return { re, keys, handler };
+});
+
+/**
+ * Find the Lab route for a request.
+ * @returns {((query: URLSearchParams, fetchJSON: Function) => Promise<{ status: number, body: any }>) | null}
+ */
+function matchLabRoute(method, pathname) {
+  if (method !== 'GET') return null;
+  for (const { re, keys, handler } of ROUTES) {
+    const m = pathname.match(re);
+    if (!m) continue;
+    // Every path parameter is an ID
+    const params = Object.fromEntries(keys.map((k, i) => [k, m[i + 1]]));
+    const bad    = keys.find(k => !isId(params[k]));
+    if (bad) return async () => badRequest(`${bad} must be a positive integer`);
+    return (query, fetchJSON) => handler(params, query, fetchJSON);
+  }
+  return null;
+}
+
+module.exports = { matchLabRoute, normalize };
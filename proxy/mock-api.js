@@ -0,0 +1,490 @@
+/**
+ * proxy/mock-api.js — offline stand-in for the Edo API
+ *
+ * Generates a small, deterministic portfolio (sites → buildings → equipment →
+ * points, plus utility accounts → meters → monthly bills) from a seed and
+ * answers the raw routes documented in the README with the same field names
+ * the real API uses. Timeseries values are computed from the timestamp, so
+ * the same seed + time range always returns the same numbers — handy for CI,
+ * screenshots and working on a plane. Electric bills are integrated from the
+ * building's power point, so they line up with /timeseries/stat.
+ *
+ * Used by dev-proxy.js when started with MOCK=1 or --mock.
+ */
+
+'use strict';
+
+// ── Seeded PRNG ───────────────────────────────────────────────────────────────
+
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Stateless noise in [-1, 1) for a (seed, key, bucket) triple
+function noise(seed, key, bucket) {
+  return mulberry32(hashString(`${seed}:${key}:${bucket}`))() * 2 - 1;
+}
+
+// ── Catalog ───────────────────────────────────────────────────────────────────
+
+const POINT_CLASSES = [
+  { value: 101, text: 'Outdoor Air Temp',          description: 'Outside air dry-bulb temperature (°F)',  kind: 'oat'      },
+  { value: 102, text: 'Supply Air Temp',           description: 'Discharge air temperature (°F)',         kind: 'sat'      },
+  { value: 103, text: 'Return Air Temp',           description: 'Return air temperature (°F)',            kind: 'rat'      },
+  { value: 104, text: 'Mixed Air Temp',            description: 'Mixed air temperature (°F)',             kind: 'mat'      },
+  { value: 105, text: 'Supply Fan Status',         description: 'Supply fan run status (1 = on)',         kind: 'status'   },
+  { value: 106, text: 'Supply Fan Speed',          description: 'Supply fan VFD speed (%)',               kind: 'speed'    },
+  { value: 107, text: 'Outdoor Air Damper',        description: 'Outdoor air damper position (%)',        kind: 'damper'   },
+  { value: 108, text: 'Zone Temp',                 description: 'Space temperature (°F)',                 kind: 'zone'     },
+  { value: 109, text: 'Zone Temp Setpoint',        description: 'Active space temperature setpoint (°F)', kind: 'zoneSp'   },
+  { value: 110, text: 'Chilled Water Supply Temp', description: 'Chilled water leaving temperature (°F)', kind: 'chws'     },
+  { value: 111, text: 'Chiller Power',             description: 'Chiller electrical demand (kW)',         kind: 'chillerKw'},
+  { value: 112, text: 'Building Power',            description: 'Whole-building electrical demand (kW)',  kind: 'kw'       },
+];
+
+const CLASS_BY_ID = new Map(POINT_CLASSES.map(c => [c.value, c]));
+
+const EQUIPMENT_TEMPLATES = {
+  AHU:   { classId: 1, name: 'Air Handling Unit',   classes: [101, 102, 103, 104, 105, 106, 107] },
+  VAV:   { classId: 2, name: 'VAV Box',             classes: [108, 109, 107] },
+  CH:    { classId: 3, name: 'Chiller',             classes: [110, 111] },
+  MTR:   { classId: 4, name: 'Main Electric Meter', classes: [112] },
+};
+
+const UTILITIES = {
+  electric: ['Cascade Power & Light', 'Front Range Electric', 'Lakeshore Energy', 'Chesapeake Electric'],
+  gas:      ['Northwest Natural Gas', 'Rocky Mountain Gas', 'Prairie Gas Co', 'Bay State Gas'],
+};
+
+const SITE_NAMES     = ['Harbor Point Campus', 'Riverside Medical', 'Northgate Offices', 'Lakeview Schools', 'Summit Research Park'];
+const BUILDING_NAMES = ['Tower A', 'Tower B', 'North Wing', 'South Wing', 'Annex', 'Main Hall', 'Science Center', 'Library'];
+const STREETS        = ['Market St', 'Harbor Blvd', 'Oak Ave', 'Commerce Way', 'Lincoln Rd', 'Elm St'];
+const CITIES         = [
+  { city: 'Seattle, WA',   utcOffset: -8 },
+  { city: 'Denver, CO',    utcOffset: -7 },
+  { city: 'Chicago, IL',   utcOffset: -6 },
+  { city: 'Baltimore, MD', utcOffset: -5 },
+];
+
+// ── World generation ──────────────────────────────────────────────────────────
+
+function buildWorld(seed) {
+  const rand = mulberry32(hashString(String(seed)));
+  const pick = arr => arr[Math.floor(rand() * arr.length)];
+  const int  = (lo, hi) => lo + Math.floor(rand() * (hi - lo + 1));
+
+  const sites     = [];
+  const buildings = [];
+  const equipment = [];
+  const points    = [];
+
+  let buildingId  = 2000;
+  let equipmentId = 30000;
+  let pointId     = 400000;
+
+  const siteNames = SITE_NAMES.slice().sort(() => rand() - 0.5).slice(0, int(2, 3));
+
+  siteNames.forEach((siteName, s) => {
+    const site  = { ID: 100 + s, Name: siteName };
+    const place = pick(CITIES);
+    sites.push(site);
+
+    const names = BUILDING_NAMES.slice().sort(() => rand() - 0.5).slice(0, int(1, 3));
+    names.forEach(name => {
+      const building = {
+        id:      ++buildingId,
+        name:    `${siteName.split(' ')[0]} ${name}`,
+        address: `${int(100, 9800)} ${pick(STREETS)}, ${place.city}`,
+      };
+      buildings.push({
+        raw:       building,
+        siteId:    site.ID,
+        utcOffset: place.utcOffset,
+        area:      int(40, 400) * 1000,   // ft², scales power draw
+      });
+
+      const addEquipment = (type, abbreviation) => {
+        const tpl   = EQUIPMENT_TEMPLATES[type];
+        const equip = { id: ++equipmentId, name: `${tpl.name} ${abbreviation}`, abbreviation };
+        equipment.push({ raw: equip, buildingId: building.id });
+        tpl.classes.forEach(pc => {
+          points.push({
+            raw: {
+              ID:           ++pointId,
+              PointClassID: pc,
+              EquipmentID:  equip.id,
+              FormatName:   `${abbreviation} ${CLASS_BY_ID.get(pc).text}`,
+            },
+            buildingId: building.id,
+            kind:       CLASS_BY_ID.get(pc).kind,
+            bias:       rand() * 2 - 1,   // per-point offset so twins don't overlap
+            phase:      rand() * 0.75,    // hours; staggers start-up times
+          });
+        });
+      };
+
+      const ahus = int(1, 3);
+      for (let a = 1; a <= ahus; a++) {
+        addEquipment('AHU', `AHU-${a}`);
+        const vavs = int(2, 5);
+        for (let v = 1; v <= vavs; v++) addEquipment('VAV', `VAV-${a}-${String(v).padStart(2, '0')}`);
+      }
+      addEquipment('CH', 'CH-1');
+      addEquipment('MTR', 'MTR-1');
+    });
+  });
+
+  return {
+    sites,
+    buildings,
+    equipment,
+    points,
+    buildingById: new Map(buildings.map(b => [b.raw.id, b])),
+    pointById:    new Map(points.map(p => [p.raw.ID, p])),
+  };
+}
+
+// Separate PRNG stream so adding billing never changes the generated portfolio
+function buildBilling(world, seed) {
+  const rand = mulberry32(hashString(`${seed}:billing`));
+  const int  = (lo, hi) => lo + Math.floor(rand() * (hi - lo + 1));
+  const pick = arr => arr[Math.floor(rand() * arr.length)];
+
+  const accounts = [];
+  const meters   = [];
+  let accountId  = 5000;
+  let meterId    = 60000;
+
+  for (const b of world.buildings) {
+    const points = world.points.filter(p => p.buildingId === b.raw.id);
+    const supply = [
+      { commodity: 'electric', unit: 'kWh',   prefix: 'E', point: points.find(p => p.kind === 'kw') },
+      { commodity: 'gas',      unit: 'therm', prefix: 'G', point: points.find(p => p.kind === 'oat') },
+    ];
+    for (const { commodity, unit, prefix, point } of supply) {
+      const account = {
+        ID:            ++accountId,
+        AccountNumber: String(int(1e9, 9e9)),
+        Utility:       pick(UTILITIES[commodity]),
+        Commodity:     commodity,
+        BuildingID:    b.raw.id,
+      };
+      accounts.push(account);
+      meters.push({
+        raw:      { ID: ++meterId, MeterNumber: `${prefix}${int(100000, 999999)}`, Commodity: commodity, Unit: unit, AccountID: account.ID },
+        building: b,
+        point,
+        readDay:  int(3, 26),   // meter read on the same day each month
+        rate:     commodity === 'electric' ? 0.09 + rand() * 0.06 : 0.85 + rand() * 0.5,
+      });
+    }
+  }
+  return { accounts, meters };
+}
+
+// ── Signal model ──────────────────────────────────────────────────────────────
+
+const HOUR = 3_600_000;
+
+/**
+ * Value of a point at time `t` (ms). Occupancy follows a weekday 7:00–18:00
+ * schedule in the building's local time; HVAC and power track a load curve
+ * that peaks mid-afternoon, temperatures follow a daily outdoor-air sine.
+ */
+function valueAt(world, seed, point, t) {
+  const building = world.buildingById.get(point.buildingId);
+  const local    = new Date(t + building.utcOffset * HOUR);
+  const hour     = local.getUTCHours() + local.getUTCMinutes() / 60 - point.phase;
+  const weekday  = local.getUTCDay() >= 1 && local.getUTCDay() <= 5;
+  const occupied = weekday && hour >= 7 && hour < 18;
+  const load     = occupied ? 0.45 + 0.55 * Math.sin(Math.PI * (hour - 7) / 11) : 0;
+
+  const dayOfYear = Math.floor((t - Date.UTC(local.getUTCFullYear(), 0, 1)) / (24 * HOUR));
+  const season    = -Math.cos(2 * Math.PI * (dayOfYear - 15) / 365);   // -1 mid-Jan, +1 mid-Jul
+  const oat       = 58 + 20 * season + 10 * Math.sin(2 * Math.PI * (hour - 9) / 24);
+
+  const n = noise(seed, point.raw.ID, Math.floor(t / 300_000));   // changes every 5 min
+
+  switch (point.kind) {
+    case 'oat':       return oat + 1.5 * n;
+    case 'sat':       return occupied ? 55 + point.bias + 0.6 * n : 62 + (oat - 62) * 0.3 + 0.4 * n;
+    case 'rat':       return (occupied ? 72 + 2 * load : 70 + (oat - 70) * 0.2) + point.bias + 0.4 * n;
+    case 'mat':       return occupied ? 0.7 * (72 + 2 * load) + 0.3 * oat + 0.5 * n : 68 + 0.4 * n;
+    case 'status':    return occupied ? 1 : 0;
+    case 'speed':     return occupied ? Math.min(100, 35 + 55 * load + 3 * n) : 0;
+    case 'damper':    return occupied ? Math.max(15, Math.min(100, 20 + 40 * load + 5 * n)) : 0;
+    case 'zone':      return (occupied ? 72 + 1.2 * load : 72 + (oat - 72) * 0.25) + point.bias + 0.3 * n;
+    case 'zoneSp':    return occupied ? 72 : (oat > 72 ? 80 : 64);
+    case 'chws':      return occupied ? 44 + point.bias * 0.5 + 0.4 * n : 52 + 0.5 * n;
+    case 'chillerKw': return occupied && oat > 55 ? (building.area / 1000) * 0.6 * load * (0.9 + 0.1 * n) : 0;
+    case 'kw':        return (building.area / 1000) * (0.8 + 2.4 * load) * (1 + 0.04 * n);
+    default:          return 0;
+  }
+}
+
+const round = v => Math.round(v * 100) / 100;
+
+// ── Route helpers ─────────────────────────────────────────────────────────────
+
+const UNIT_MS = { minute: 60_000, hour: HOUR, day: 24 * HOUR, week: 7 * 24 * HOUR };
+
+const MAX_SAMPLES = 50_000;
+
+function ids(query) {
+  return query.getAll('id').flatMap(v => v.split(',')).map(Number).filter(Number.isFinite);
+}
+
+// A positive integer query param, the fallback when absent, NaN when malformed
+function positiveInt(value, fallback) {
+  if (value === null) return fallback;
+  return /^[1-9]\d*$/.test(value.trim()) ? Number(value) : NaN;
+}
+
+function parseTime(value, fallback) {
+  if (!value) return fallback;
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? NaN : t;
+}
+
+function notFound(detail) {
+  return { status: 404, body: { error: 'Not found', detail } };
+}
+
+function badRequest(detail) {
+  return { status: 400, body: { error: 'Bad request', detail } };
+}
+
+// ── Public factory ────────────────────────────────────────────────────────────
+
+/**
+ * Create a mock API bound to a seed.
+ *
+ * @param {Object} opts
+ * @param {string|number} [opts.seed='edo']  same seed → same portfolio and values
+ * @param {Function}      [opts.now]         clock override, returns ms (tests / demos)
+ * @returns {{ seed: string, handle: (method: string, pathname: string, query: URLSearchParams) => { status: number, body: any } }}
+ */
+function createMockApi({ seed = 'edo', now = Date.now } = {}) {
+  seed = String(seed);
+  const world   = buildWorld(seed);
+  const billing = buildBilling(world, seed);
+
+  function series(point, start, end, step) {
+    const out = [];
+    for (let t = Math.ceil(start / step) * step; t < end; t += step) {
+      // Average a few sub-samples so coarse rollups look like real aggregates
+      const subs = Math.min(6, Math.max(1, Math.round(step / 300_000)));
+      let sum = 0;
+      for (let i = 0; i < subs; i++) sum += valueAt(world, seed, point, t + (i * step) / subs);
+      out.push({ ts: new Date(t).toISOString(), value: round(sum / subs) });
+    }
+    return out;
+  }
+
+  const day = t => new Date(t).toISOString().slice(0, 10);
+
+  /**
+   * Monthly bills of one meter that overlap [start, end) and have already
+   * closed. Periods run read day to the day before the next read (inclusive
+   * dates, as printed on a bill).
+   */
+  function bills(meter, start, end) {
+    const out   = [];
+    const from  = new Date(start);
+    const month = (y, m) => Date.UTC(y, m, meter.readDay);
+    for (let i = -1; ; i++) {
+      const periodStart = month(from.getUTCFullYear(), from.getUTCMonth() + i);
+      const periodEnd   = month(from.getUTCFullYear(), from.getUTCMonth() + i + 1);
+      if (periodStart >= end || periodEnd > now()) break;
+      if (periodEnd <= start) continue;
+
+      const days  = Math.round((periodEnd - periodStart) / (24 * HOUR));
+      const n     = noise(seed, `bill:${meter.raw.ID}`, periodStart);
+      const bill  = {
+        ID:         meter.raw.ID * 1000 + (new Date(periodStart).getUTCFullYear() % 50) * 12 + new Date(periodStart).getUTCMonth(),
+        MeterID:    meter.raw.ID,
+        AccountID:  meter.raw.AccountID,
+        StartDate:  day(periodStart),
+        EndDate:    day(periodEnd - 24 * HOUR),
+        Usage:      0,
+        UsageUnit:  meter.raw.Unit,
+        Cost:       0,
+        Demand:     null,
+        DemandUnit: null,
+        Currency:   'USD',
+      };
+      const hourly = series(meter.point, periodStart, periodEnd, HOUR).map(r => r.value);
+      if (meter.raw.Commodity === 'electric') {
+        bill.Usage      = Math.round(hourly.reduce((a, v) => a + v, 0) * (1 + 0.01 * n));
+        bill.Demand     = round(Math.max(...hourly) * 1.04);
+        bill.DemandUnit = 'kW';
+        bill.Cost       = round(bill.Usage * meter.rate + bill.Demand * 11.5 + 32);
+      } else {
+        const oat = hourly.reduce((a, v) => a + v, 0) / hourly.length;
+        bill.Usage = Math.round(days * (4 + 2.2 * Math.max(0, 65 - oat)) * (meter.building.area / 100_000) * (1 + 0.03 * n));
+        bill.Cost  = round(bill.Usage * meter.rate + 18);
+      }
+      out.push(bill);
+    }
+    return out;
+  }
+
+  function billRange(query) {
+    const end   = parseTime(query.get('end'), now());
+    const start = parseTime(query.get('start'), end - 365 * 24 * HOUR);
+    return Number.isNaN(start) || Number.isNaN(end) ? null : { start, end };
+  }
+
+  function handle(method, pathname, query) {
+    if (method !== 'GET') {
+      return { status: 405, body: { error: 'Method not allowed', detail: 'Mock API is read-only' } };
+    }
+
+    let m;
+
+    if (pathname === '/point/site') {
+      return { status: 200, body: world.sites };
+    }
+
+    if ((m = pathname.match(/^\/point\/site\/(\d+)\/building$/))) {
+      const siteId = Number(m[1]);
+      if (!world.sites.some(s => s.ID === siteId)) return notFound(`No site ${siteId}`);
+      return { status: 200, body: world.buildings.filter(b => b.siteId === siteId).map(b => b.raw) };
+    }
+
+    if (pathname === '/point/class') {
+      return { status: 200, body: POINT_CLASSES.map(({ value, text, description }) => ({ value, text, description })) };
+    }
+
+    if ((m = pathname.match(/^\/point\/building\/(\d+)\/point$/))) {
+      const buildingId = Number(m[1]);
+      if (!world.buildingById.has(buildingId)) return notFound(`No building ${buildingId}`);
+      const pc         = query.get('pc');
+      const pageSize   = positiveInt(query.get('pageSize'), 500);
+      const pageNumber = positiveInt(query.get('pageNumber'), 1);
+      if (Number.isNaN(pageSize) || Number.isNaN(pageNumber)) return badRequest('pageSize and pageNumber must be positive integers');
+      const rows = world.points
+        .filter(p => p.buildingId === buildingId && (!pc || p.raw.PointClassID === Number(pc)))
+        .map(p => p.raw);
+      return { status: 200, body: rows.slice((pageNumber - 1) * pageSize, pageNumber * pageSize) };
+    }
+
+    if (pathname === '/point/equipment/class') {
+      return {
+        status: 200,
+        body:   Object.entries(EQUIPMENT_TEMPLATES).map(([abbr, t]) => ({ value: t.classId, text: abbr, description: t.name })),
+      };
+    }
+
+    if ((m = pathname.match(/^\/point\/equipment\/(\d+)(\/point)?$/))) {
+      const equipmentId = Number(m[1]);
+      const equip       = world.equipment.find(e => e.raw.id === equipmentId);
+      if (!equip) return notFound(`No equipment ${equipmentId}`);
+      if (!m[2])  return { status: 200, body: equip.raw };
+      const pc = query.get('pc');
+      return {
+        status: 200,
+        body:   world.points
+          .filter(p => p.raw.EquipmentID === equipmentId && (!pc || p.raw.PointClassID === Number(pc)))
+          .map(p => p.raw),
+      };
+    }
+
+    if (pathname === '/point/equipment') {
+      const b = query.get('b');
+      return {
+        status: 200,
+        body:   world.equipment.filter(e => !b || e.buildingId === Number(b)).map(e => e.raw),
+      };
+    }
+
+    if (pathname === '/bill/account') {
+      const b = query.get('b');
+      return { status: 200, body: billing.accounts.filter(a => !b || a.BuildingID === Number(b)) };
+    }
+
+    if ((m = pathname.match(/^\/bill\/account\/(\d+)\/(meter|bill)$/))) {
+      const accountId = Number(m[1]);
+      if (!billing.accounts.some(a => a.ID === accountId)) return notFound(`No account ${accountId}`);
+      const meters = billing.meters.filter(mt => mt.raw.AccountID === accountId);
+      if (m[2] === 'meter') return { status: 200, body: meters.map(mt => mt.raw) };
+      const range = billRange(query);
+      if (!range) return badRequest('start/end must be ISO-8601 timestamps');
+      return { status: 200, body: meters.flatMap(mt => bills(mt, range.start, range.end)) };
+    }
+
+    if ((m = pathname.match(/^\/bill\/meter\/(\d+)\/bill$/))) {
+      const meter = billing.meters.find(mt => mt.raw.ID === Number(m[1]));
+      if (!meter) return notFound(`No meter ${m[1]}`);
+      const range = billRange(query);
+      if (!range) return badRequest('start/end must be ISO-8601 timestamps');
+      return { status: 200, body: bills(meter, range.start, range.end) };
+    }
+
+    if (pathname === '/timeseries/latest') {
+      const t = Math.floor(now() / 300_000) * 300_000;
+      return {
+        status: 200,
+        body:   ids(query)
+          .filter(id => world.pointById.has(id))
+          .map(id => ({ id, value: round(valueAt(world, seed, world.pointById.get(id), t)), latest_ts: new Date(t).toISOString() })),
+      };
+    }
+
+    if (pathname === '/timeseries/stat') {
+      const end   = parseTime(query.get('end'), now());
+      const start = parseTime(query.get('start'), end - 24 * HOUR);
+      if (Number.isNaN(start) || Number.isNaN(end)) return badRequest('start/end must be ISO-8601 timestamps');
+      const step = Math.max(900_000, Math.ceil((end - start) / MAX_SAMPLES / 900_000) * 900_000);
+      return {
+        status: 200,
+        body:   ids(query).filter(id => world.pointById.has(id)).map(id => {
+          const values = series(world.pointById.get(id), start, end, step).map(r => r.value);
+          const count  = values.length;
+          return {
+            id,
+            avg:   count ? round(values.reduce((a, v) => a + v, 0) / count) : null,
+            min:   count ? Math.min(...values) : null,
+            max:   count ? Math.max(...values) : null,
+            count,
+          };
+        }),
+      };
+    }
+
+    if ((m = pathname.match(/^\/timeseries\/rollup\/(\d+)\/(minute|hour|day|week)$/))) {
+      const step  = Number(m[1]) * UNIT_MS[m[2]];
+      const [id]  = ids(query);
+      const point = world.pointById.get(id);
+      if (!step)  return badRequest('Rollup interval must be a positive integer');
+      if (!point) return notFound(id === undefined ? 'Rollup requires ?id=' : `No point ${id}`);
+      const end   = parseTime(query.get('end'), now());
+      const start = parseTime(query.get('start'), end - Math.max(24 * HOUR, 24 * step));
+      if (Number.isNaN(start) || Number.isNaN(end)) return badRequest('start/end must be ISO-8601 timestamps');
+      if ((end - start) / step > MAX_SAMPLES) return badRequest(`Range too large: more than ${MAX_SAMPLES} buckets`);
+      return { status: 200, body: series(point, start, end, step) };
+    }
+
+    return notFound(`Mock API has no route for ${method} ${pathname}`);
+  }
+
+  return { seed, handle };
+}
+
+module.exports = { createMockApi };
@@ -0,0 +1,89 @@
+/**
+ * proxy/profiles.js — named API environments for dev-proxy.js
+ *
+ * A profile bundles everything that differs between Edo environments: the API
+ * base URL and the B2C app registration, policy and scopes used to get a token
+ * for it. dev-proxy.js keeps one token cache per profile
+ * (.token-cache.<name>.json), so switching back and forth never forces a
+ * re-authorize.
+ *
+ * Built-in: prod, internal, mock. Add or override profiles in edo-profiles.json
+ * (see edo-profiles.example.json); fields left out inherit the B2C defaults.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+// ── B2C defaults ──────────────────────────────────────────────────────────────
+
+const SCOPE_BASE = 'https://edoapps.onmicrosoft.com/services';
+
+const DEFAULT_AUTH = {
+  clientId: '66ca0383-bf0c-4dc8-9d57-c852c06a9413',
+  tenantId: '48d03f3f-62a3-401f-b4a2-2514758215ac',
+  b2cHost:  'login.edoenergy.com',
+  policy:   'B2C_1A_MULTITENANT',
+  scopes:   [
+    `${SCOPE_BASE}/point.read`,
+    `${SCOPE_BASE}/timeseries.read`,
+    `${SCOPE_BASE}/bill.read`,
+    `${SCOPE_BASE}/building.read`,
+    'offline_access',   // issues a refresh token so the proxy can renew silently
+  ],
+};
+
+// ── Built-in profiles ─────────────────────────────────────────────────────────
+
+const BUILTIN_PROFILES = {
+  prod:     { label: 'Production', apiBase: 'https://services.apis.edoenergy.com' },
+  internal: { label: 'Internal',   apiBase: 'https://services-internal.apis.edoenergy.com' },
+  mock:     { label: 'Mock data',  mock: true },
+};
+
+const DEFAULT_PROFILE = 'prod';
+
+/**
+ * Built-in profiles merged with an optional JSON file of additions/overrides.
+ * @param {string} [file]  path to edo-profiles.json; a missing file is fine
+ * @returns {Object<string, { name, label, apiBase, mock, clientId, tenantId, b2cHost, policy, scopes }>}
+ */
+function loadProfiles(file) {
+  let custom = {};
+  if (file) {
+    try {
+      custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`Could not read ${file}: ${err.message}`);
+    }
+  }
+
+  const profiles = {};
+  for (const [name, def] of Object.entries({ ...BUILTIN_PROFILES, ...custom })) {
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) throw new Error(`Invalid profile name "${name}"`);
+    const p = { ...DEFAULT_AUTH, ...BUILTIN_PROFILES[name], ...def, name };
+    p.label   = p.label ?? name;
+    p.mock    = !!p.mock;
+    p.apiBase = p.mock ? null : String(p.apiBase ?? '').replace(/\/$/, '');
+    if (!p.mock && !p.apiBase) throw new Error(`Profile "${name}" needs an apiBase`);
+    profiles[name] = p;
+  }
+  return profiles;
+}
+
+/**
+ * Pick the startup profile: --profile <name> | --profile=<name>, then --mock /
+ * MOCK=1, then EDO_PROFILE, then prod.
+ * @returns {{ name: string, explicit: boolean }}  explicit = not the fallback
+ */
+function selectProfileName(argv, env, mockFlag) {
+  const i = argv.findIndex(a => a === '--profile' || a.startsWith('--profile='));
+  if (i !== -1) {
+    return { name: argv[i].includes('=') ? argv[i].split('=')[1] : argv[i + 1] ?? '', explicit: true };
+  }
+  if (mockFlag)        return { name: 'mock', explicit: true };
+  if (env.EDO_PROFILE) return { name: env.EDO_PROFILE, explicit: true };
+  return { name: DEFAULT_PROFILE, explicit: false };
+}
+
+module.exports = { loadProfiles, selectProfileName, DEFAULT_PROFILE };